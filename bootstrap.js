@@ -1,9 +1,18 @@
 let ZoteroCitationCounts, itemObserver;
+let columnPrefObservers = [];
 
 async function startup({ id, version, rootURI }) {
   Services.scriptloader.loadSubScript(rootURI + "src/zoterocitationcounts.js");
 
   ZoteroCitationCounts.init({ id, version, rootURI });
+  // For the preference pane, whose scripts can't reach this scope.
+  Zotero.CitationCounts = ZoteroCitationCounts;
+  // Without the history table, the counts are still retrieved, only their history isn't recorded.
+  try {
+    await ZoteroCitationCounts.initHistory();
+  } catch (error) {
+    ZoteroCitationCounts._log(`Citation count history error: ${error.message}`);
+  }
   ZoteroCitationCounts.addToAllWindows();
 
   Zotero.PreferencePanes.register({
@@ -22,9 +31,99 @@ async function startup({ id, version, rootURI }) {
       "citationcounts-column-title"
     ),
     pluginID: id,
-    dataProvider: (item) => ZoteroCitationCounts.getCitationCount(item),
+    dataProvider: (item) => ZoteroCitationCounts.getCitationCountColumnData(item),
+    renderCell: (...args) => ZoteroCitationCounts.renderCitationCountCell(...args),
   });
 
+  await Zotero.ItemTreeManager.registerColumns({
+    dataKey: "citationcounts-rcr",
+    label: await ZoteroCitationCounts.l10n.formatValue(
+      "citationcounts-column-rcr-title"
+    ),
+    pluginID: id,
+    dataProvider: (item) => ZoteroCitationCounts.getRelativeCitationRatio(item),
+    renderCell: (...args) => ZoteroCitationCounts.renderCitationCountCell(...args),
+  });
+
+  await Zotero.ItemTreeManager.registerColumns({
+    dataKey: "citationcounts-velocity",
+    label: await ZoteroCitationCounts.l10n.formatValue(
+      "citationcounts-column-velocity-title"
+    ),
+    pluginID: id,
+    dataProvider: (item) =>
+      ZoteroCitationCounts.getCitationVelocityColumnData(item),
+    renderCell: (...args) => ZoteroCitationCounts.renderCitationCountCell(...args),
+  });
+
+  await Zotero.ItemTreeManager.registerColumns({
+    dataKey: "citationcounts-gained",
+    label: await ZoteroCitationCounts.l10n.formatValue(
+      "citationcounts-column-gained-title"
+    ),
+    pluginID: id,
+    dataProvider: (item) =>
+      ZoteroCitationCounts.getCitationsGainedColumnData(item),
+    renderCell: (...args) => ZoteroCitationCounts.renderCitationCountCell(...args),
+  });
+
+  for (const api of ZoteroCitationCounts.APIs.filter((api) => api.column)) {
+    await Zotero.ItemTreeManager.registerColumns({
+      dataKey: `citationcounts-${api.key}`,
+      label: await ZoteroCitationCounts.l10n.formatValue(
+        "citationcounts-column-api-title",
+        { api: api.name }
+      ),
+      pluginID: id,
+      dataProvider: (item) =>
+        ZoteroCitationCounts.getCitationCountColumnData(item, api),
+      renderCell: (...args) =>
+        ZoteroCitationCounts.renderCitationCountCell(...args),
+    });
+  }
+
+  // The column (and its sorting) follows the aggregation preferences.
+  columnPrefObservers = ["columnAggregation", "columnPreferredSource"].map(
+    (pref) =>
+      Zotero.Prefs.registerObserver(
+        "extensions.citationcounts." + pref,
+        () => Zotero.ItemTreeManager.refreshColumns(),
+        true
+      )
+  );
+
+  Zotero.ItemPaneManager.registerSection({
+    paneID: "citationcounts-section",
+    pluginID: id,
+    header: {
+      l10nID: "citationcounts-itempane-header",
+      icon: ZoteroCitationCounts.icon("edit-list-order", false),
+    },
+    sidenav: {
+      l10nID: "citationcounts-itempane-sidenav",
+      icon: ZoteroCitationCounts.icon("edit-list-order", false),
+    },
+    onItemChange: ({ item, setEnabled }) => setEnabled(item.isRegularItem()),
+    onRender: (props) => ZoteroCitationCounts.renderItemPaneSection(props),
+    onAsyncRender: (props) => ZoteroCitationCounts.renderItemPaneHistory(props),
+  });
+
+  ZoteroCitationCounts.startAutoRefresh().catch((error) =>
+    ZoteroCitationCounts._log(`Auto-refresh error: ${error.message}`)
+  );
+
+  ZoteroCitationCounts.resumePendingOperations().catch((error) =>
+    ZoteroCitationCounts._log(`Resuming operations error: ${error.message}`)
+  );
+
+  ZoteroCitationCounts.startOfflineQueue().catch((error) =>
+    ZoteroCitationCounts._log(`Offline queue error: ${error.message}`)
+  );
+
+  ZoteroCitationCounts.pruneResponseCache().catch((error) =>
+    ZoteroCitationCounts._log(`Response cache error: ${error.message}`)
+  );
+
   itemObserver = Zotero.Notifier.registerObserver(
     {
       notify: async function (event, type, ids, extraData) {
@@ -33,13 +132,26 @@ async function startup({ id, version, rootURI }) {
             const pref = ZoteroCitationCounts.getPref("autoretrieve");
             if (pref === "none") return;
 
-            const api = ZoteroCitationCounts.APIs.find((api) => api.key === pref);
+            const api = ZoteroCitationCounts.APIs.concat(
+              ZoteroCitationCounts.fallbackAPI
+            ).find((api) => api.key === pref);
             if (!api) return;
 
-            await ZoteroCitationCounts.updateItems(Zotero.Items.get(ids), api);
+            const unreachableItems = await ZoteroCitationCounts.updateItems(
+              Zotero.Items.get(ids),
+              api
+            );
+            // Retrieved again once the network is back (or at the next start).
+            ZoteroCitationCounts.queueOfflineItems(unreachableItems, api);
           } catch (error) {
             ZoteroCitationCounts._log(`Auto-retrieval error: ${error.message}`);
           }
+        } else if (event == "delete") {
+          try {
+            await ZoteroCitationCounts.deleteCitationCountHistory(ids);
+          } catch (error) {
+            ZoteroCitationCounts._log(`History deletion error: ${error.message}`);
+          }
         }
       },
     },
@@ -56,7 +168,14 @@ function onMainWindowUnload({ window }) {
 }
 
 function shutdown() {
+  ZoteroCitationCounts.stopAutoRefresh();
+  ZoteroCitationCounts.stopOperations();
+  ZoteroCitationCounts.stopOfflineQueue();
   ZoteroCitationCounts.removeFromAllWindows();
   Zotero.Notifier.unregisterObserver(itemObserver);
+  columnPrefObservers.forEach((observer) =>
+    Zotero.Prefs.unregisterObserver(observer)
+  );
+  delete Zotero.CitationCounts;
   ZoteroCitationCounts = undefined;
 }
@@ -1,18 +1,89 @@
-## For the custom column that the plugin registers
+## For the custom columns that the plugin registers
 citationcounts-column-title = Citation count
+citationcounts-column-api-title = Citations ({ $api })
+citationcounts-column-rcr-title = Relative Citation Ratio
+citationcounts-column-velocity-title = Citations per year
+citationcounts-column-gained-title = Citations gained (12 months)
 
 ## For the "Item" contextmenu, where citation counts can be manually retrieved for the selected items.
 citationcounts-itemmenu-retrieve-title =
     .label = Get citation count
 citationcounts-itemmenu-retrieve-api =
     .label = Get { $api } citation count
+citationcounts-itemmenu-retrieve-all =
+    .label = Get citation counts from all sources
+citationcounts-itemmenu-retrieve-fallback =
+    .label = Get best available citation count
+citationcounts-itemmenu-refresh-stale-title =
+    .label = Refresh stale citation counts
+
+## For the collection tree contextmenu, where citation counts can be retrieved for all items of a collection, saved search or library.
+citationcounts-collectionmenu-retrieve-title =
+    .label = Get citation counts
 
 ## For the ProgressWindow, showing citation counts retrieval operation status
 citationcounts-progresswindow-headline = Getting { $api } citation counts.
+citationcounts-progresswindow-headline-skipped = Getting { $api } citation counts ({ $skipped } up-to-date { $skipped ->
+        [one] item
+       *[other] items
+    } skipped).
+citationcounts-progresswindow-nothing-stale-headline = All { $skipped } { $skipped ->
+        [one] item has
+       *[other] items have
+    } up-to-date { $api } citation counts.
 citationcounts-progresswindow-finished-headline = Finished getting { $api } citation counts.
+citationcounts-progresswindow-finished-headline-skipped = Finished getting { $api } citation counts ({ $skipped } up-to-date { $skipped ->
+        [one] item
+       *[other] items
+    } skipped).
+citationcounts-progresswindow-paused-headline = Paused getting { $api } citation counts.
+citationcounts-progresswindow-cancelled-headline = Cancelled getting { $api } citation counts ({ $remaining } { $remaining ->
+        [one] item
+       *[other] items
+    } left).
+# The same headlines for the "best available" and "all sources" pseudo-APIs, which have no $api.
+citationcounts-progresswindow-headline-fallback = Getting the best available citation counts.
+citationcounts-progresswindow-headline-all = Getting citation counts from all sources.
+citationcounts-progresswindow-headline-skipped-fallback = Getting the best available citation counts ({ $skipped } up-to-date { $skipped ->
+        [one] item
+       *[other] items
+    } skipped).
+citationcounts-progresswindow-headline-skipped-all = Getting citation counts from all sources ({ $skipped } up-to-date { $skipped ->
+        [one] item
+       *[other] items
+    } skipped).
+citationcounts-progresswindow-nothing-stale-headline-fallback = All { $skipped } { $skipped ->
+        [one] item has
+       *[other] items have
+    } up-to-date citation counts.
+citationcounts-progresswindow-nothing-stale-headline-all = All { $skipped } { $skipped ->
+        [one] item has
+       *[other] items have
+    } up-to-date citation counts from all sources.
+citationcounts-progresswindow-finished-headline-fallback = Finished getting the best available citation counts.
+citationcounts-progresswindow-finished-headline-all = Finished getting citation counts from all sources.
+citationcounts-progresswindow-finished-headline-skipped-fallback = Finished getting the best available citation counts ({ $skipped } up-to-date { $skipped ->
+        [one] item
+       *[other] items
+    } skipped).
+citationcounts-progresswindow-finished-headline-skipped-all = Finished getting citation counts from all sources ({ $skipped } up-to-date { $skipped ->
+        [one] item
+       *[other] items
+    } skipped).
+citationcounts-progresswindow-paused-headline-fallback = Paused getting the best available citation counts.
+citationcounts-progresswindow-paused-headline-all = Paused getting citation counts from all sources.
+citationcounts-progresswindow-cancelled-headline-fallback = Cancelled getting the best available citation counts ({ $remaining } { $remaining ->
+        [one] item
+       *[other] items
+    } left).
+citationcounts-progresswindow-cancelled-headline-all = Cancelled getting citation counts from all sources ({ $remaining } { $remaining ->
+        [one] item
+       *[other] items
+    } left).
 citationcounts-progresswindow-error-no-doi = No DOI field exists on the item.
 citationcounts-progresswindow-error-no-arxiv = No arXiv id found on the item.
 citationcounts-progresswindow-error-no-doi-or-arxiv = No DOI / arXiv ID found on the item.
+citationcounts-progresswindow-error-no-pmid = No usable PMID / PMCID found in the item's Extra field.
 citationcounts-progresswindow-error-bad-api-response = Received an unexpected response from { $api }. The API might be down or there could be an issue with the request format.
 citationcounts-progresswindow-error-nasaads-apikey = NASA ADS API Key error. Please check your key in preferences or visit the NASA ADS website for more information. It's also possible you've hit an API rate limit.
 citationcounts-progresswindow-error-no-citation-count = { $api } doesn't have a citation count for this item.
@@ -20,29 +91,132 @@ citationcounts-progresswindow-error-api-not-found = The { $api } could not find
 citationcounts-progresswindow-error-api-rate-limit = You've made too many requests to { $api } in a short period. Please try again later.
 citationcounts-progresswindow-error-api-server-error = The { $api } is currently experiencing technical difficulties or is temporarily unavailable. Please try again later.
 citationcounts-progresswindow-error-network-issue = A network problem occurred while trying to reach { $api }. Please check your internet connection and try again.
+citationcounts-progresswindow-error-timeout = { $api } didn't respond in time. Please try again later.
 citationcounts-progresswindow-error-api-bad-request = There was an issue with the request sent to { $api }. This might be an internal plugin error. If the problem persists, please consider reporting it.
 citationcounts-progresswindow-error-unknown = An unknown error occurred while trying to get citations from { $api }.
 citationcounts-progresswindow-error-insufficient-metadata-for-title-search = Not enough information (title, author, year) on the item to perform a title-based search with { $api }.
-citationcounts-progresswindow-error-no-results-all-attempts = { $api } could not find any results for this item using any available method (DOI, arXiv, Title).
+citationcounts-progresswindow-error-no-results-all-attempts = { $api } could not find any results for this item using any available method (DOI, arXiv, PMID, Title).
 citationcounts-progresswindow-error-nasaads-no-results = NASA ADS could not find any results for this item. Please check the item's metadata or try searching directly on the NASA ADS website.
+citationcounts-progresswindow-error-no-results-fallback = None of the APIs in your fallback order had a citation count for this item.
+citationcounts-progresswindow-error-no-results-all-apis = None of the APIs had a citation count for this item.
+
+## For the item pane section, listing the citation counts of every source
+citationcounts-itempane-header =
+    .label = Citation Counts
+citationcounts-itempane-sidenav =
+    .tooltiptext = Citation Counts
+citationcounts-itempane-empty = No citation counts retrieved yet.
+citationcounts-itempane-history = History
+citationcounts-itempane-refresh = Refresh
+    .title = Get { $api } citation count
 
 ## For the "Tools" menu, where the "autoretrieve" preference can be set.
 citationcounts-menutools-autoretrieve-title =
     .label = Get citation counts for new items?
 citationcounts-menutools-autoretrieve-api =
     .label = { $api }
+citationcounts-menutools-autoretrieve-api-fallback =
+    .label = Best available (fallback order)
 citationcounts-menutools-autoretrieve-api-none =
     .label = No
 
+## For the "Tools" menu listing the running citation count retrieval operations.
+citationcounts-menutools-operations-title =
+    .label = Citation count operations
+citationcounts-menutools-operations-none =
+    .label = No running operations
+citationcounts-menutools-operation =
+    .label = { $api }: { $done } of { $total } items
+citationcounts-menutools-operation-paused =
+    .label = { $api }: { $done } of { $total } items (paused)
+citationcounts-menutools-operation-fallback =
+    .label = Best available: { $done } of { $total } items
+citationcounts-menutools-operation-paused-fallback =
+    .label = Best available: { $done } of { $total } items (paused)
+citationcounts-menutools-operation-all =
+    .label = All sources: { $done } of { $total } items
+citationcounts-menutools-operation-paused-all =
+    .label = All sources: { $done } of { $total } items (paused)
+citationcounts-menutools-operation-pause =
+    .label = Pause
+citationcounts-menutools-operation-resume =
+    .label = Resume
+citationcounts-menutools-operation-cancel =
+    .label = Cancel
+
 ## For the plugins "Preferences" pane.
 citationcounts-preference-pane-label = Citation Counts
 citationcounts-preferences-pane-autoretrieve-title = Get citation counts for new items?
 citationcounts-preferences-pane-autoretrieve-api =
     .label = { $api }
+citationcounts-preferences-pane-autoretrieve-api-fallback =
+    .label = Best available (fallback order)
 citationcounts-preferences-pane-autoretrieve-api-none =
     .label = No
+citationcounts-preferences-pane-collections-title = Collections and multiple items
+citationcounts-preferences-pane-concurrency =
+    .value = Items retrieved at the same time:
+citationcounts-preferences-pane-include-subcollections =
+    .label = Include items from subcollections when getting the citation counts of a collection
+citationcounts-preferences-pane-rate-limits-title = Request rate limits
+citationcounts-preferences-pane-rate-limits-description = Requests to each API are spread out to stay within its rate limit, across all running retrievals. To change the limit of an API, enter its requests per second and burst size, or leave them empty for its default. A rate of 0 disables the limit.
+citationcounts-preferences-pane-rate-limit-requests-per-second =
+    .value = Requests per second:
+citationcounts-preferences-pane-rate-limit-burst =
+    .value = Burst:
+citationcounts-preferences-pane-invalid-number =
+    .value = Some values aren't valid numbers (or are too small) and weren't saved.
+citationcounts-preferences-pane-retry-max-attempts =
+    .value = Attempts per request when an API is overloaded or unreachable:
+citationcounts-preferences-pane-api-timeout =
+    .value = Give up waiting for a response after (milliseconds):
+citationcounts-preferences-pane-cache-title = Response cache
+citationcounts-preferences-pane-cache-description = API responses are kept in the Zotero data directory, so that retrieving a count again soon after doesn't ask the API again (24 hours by default, 7 days for OpenCitations and NIH iCite). Older responses are only downloaded again if they changed. To change how long the responses of an API are kept, enter its hours, or leave them empty for its default. 0 disables the cache for that API.
+citationcounts-preferences-pane-cache-ttl-hours =
+    .value = Hours:
+citationcounts-preferences-pane-clear-cache =
+    .label = Clear citation cache
+citationcounts-preferences-pane-cache-cleared =
+    .value = Citation cache cleared.
+citationcounts-preferences-pane-cache-clear-failed =
+    .value = The citation cache couldn't be cleared.
+citationcounts-preferences-pane-autorefresh-title = Refresh stale citation counts in the background?
+citationcounts-preferences-pane-autorefresh-description = At startup and then regularly, stale citation counts are retrieved again, one item at a time. The age after which counts are stale also applies to "Refresh stale citation counts".
+citationcounts-preferences-pane-autorefresh-api =
+    .label = { $api }
+citationcounts-preferences-pane-autorefresh-api-fallback =
+    .label = Best available (fallback order)
+citationcounts-preferences-pane-autorefresh-api-all =
+    .label = All sources
+citationcounts-preferences-pane-autorefresh-api-none =
+    .label = No
+citationcounts-preferences-pane-autorefresh-interval-days =
+    .value = Check every (days):
+citationcounts-preferences-pane-stale-days =
+    .value = Citation counts are stale after (days):
+citationcounts-preferences-pane-fallback-title = Fallback order for "best available"
+citationcounts-preferences-pane-fallback-description = The checked APIs are tried from top to bottom until one of them has a citation count for the item.
+citationcounts-preferences-pane-fallback-up =
+    .label = Move Up
+citationcounts-preferences-pane-fallback-down =
+    .label = Move Down
+citationcounts-preferences-pane-column-title = "Citation count" column
+citationcounts-preferences-pane-column-description = How the column value (and its sort order) is derived when counts from several sources are stored for an item.
+citationcounts-preferences-pane-column-aggregation-recent =
+    .label = Most recently retrieved
+citationcounts-preferences-pane-column-aggregation-preferred =
+    .label = Preferred source (most recently retrieved if missing)
+citationcounts-preferences-pane-column-aggregation-max =
+    .label = Maximum
+citationcounts-preferences-pane-column-aggregation-min =
+    .label = Minimum
+citationcounts-preferences-pane-column-aggregation-median =
+    .label = Median
+citationcounts-preferences-pane-column-preferred-source =
+    .value = Preferred source:
 citationcounts-preferences-pane-nasaads-api-key-label = NASA ADS API Key
+citationcounts-preferences-pane-openalex-mailto-label = OpenAlex contact email (optional, for the faster "polite pool")
 
 ## Misc
 citationcounts-internal-error = Internal error
-citationcounts-internal-error-no-retrieval-methods = Internal plugin error: No lookup method (DOI, arXiv, Title) was enabled for { $api }. Please check plugin configuration or report this issue.
+citationcounts-internal-error-no-retrieval-methods = Internal plugin error: No lookup method (DOI, arXiv, PMID, Title) was enabled for { $api }. Please check plugin configuration or report this issue.
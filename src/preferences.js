@@ -19,16 +19,46 @@ ZoteroCitationCounts_Prefs = {
       key: "nasaads",
       name: "NASA ADS",
     },
+    {
+      key: "openalex",
+      name: "OpenAlex",
+    },
+    {
+      key: "opencitations",
+      name: "OpenCitations",
+    },
+    {
+      key: "europepmc",
+      name: "Europe PMC",
+    },
+    {
+      key: "icite",
+      name: "NIH iCite",
+    },
+    {
+      key: "datacite",
+      name: "DataCite",
+    },
   ],
 
+  /**
+   * Ids of the inputs of *_initAPIInputs* whose value is invalid.
+   */
+  _invalidInputs: new Set(),
+
   init: function () {
-    this.APIs.concat({ key: "none" }).forEach((api) => {
+    this.APIs.concat({ key: "fallback" }, { key: "none" }).forEach((api) => {
       const label =
         api.key === "none"
           ? {
               "data-l10n-id":
                 "citationcounts-preferences-pane-autoretrieve-api-none",
             }
+          : api.key === "fallback"
+          ? {
+              "data-l10n-id":
+                "citationcounts-preferences-pane-autoretrieve-api-fallback",
+            }
           : {
               "data-l10n-id":
                 "citationcounts-preferences-pane-autoretrieve-api",
@@ -46,6 +76,295 @@ ZoteroCitationCounts_Prefs = {
         "citationcounts-preference-pane-autoretrieve-radiogroup"
       );
     });
+
+    this._initAutoRefresh();
+    this._initColumnPreferredSource();
+    this._initFallbackOrder();
+    this._initRateLimits();
+    this._initCacheTtls();
+  },
+
+  /**
+   * Fill the menu of APIs the background refresh of stale citation counts can use.
+   */
+  _initAutoRefresh: function () {
+    this.APIs.concat({ key: "fallback" }, { key: "all" }, { key: "none" })
+      .forEach((api) => {
+        const label = ["none", "fallback", "all"].includes(api.key)
+          ? {
+              "data-l10n-id": `citationcounts-preferences-pane-autorefresh-api-${api.key}`,
+            }
+          : {
+              "data-l10n-id": "citationcounts-preferences-pane-autorefresh-api",
+              "data-l10n-args": `{"api": "${api.name}"}`,
+            };
+
+        this._injectXULElement(
+          document,
+          "menuitem",
+          `citationcounts-preference-pane-autorefresh-api-${api.key}`,
+          { ...label, value: api.key },
+          "citationcounts-preference-pane-autorefresh-api-popup"
+        );
+      });
+  },
+
+  /**
+   * Fill the menu of sources the "Citation count" column can prefer.
+   */
+  _initColumnPreferredSource: function () {
+    this.APIs.forEach((api) => {
+      this._injectXULElement(
+        document,
+        "menuitem",
+        `citationcounts-preference-pane-column-preferred-source-${api.key}`,
+        { label: api.name, value: api.key },
+        "citationcounts-preference-pane-column-preferred-source-popup"
+      );
+    });
+  },
+
+  /**
+   * Fill the fallback order list: the enabled APIs in their saved order, followed by the disabled ones.
+   */
+  _initFallbackOrder: function () {
+    const savedOrder = (
+      Zotero.Prefs.get("extensions.citationcounts.fallbackOrder", true) || ""
+    )
+      .split(",")
+      .filter((key) => this.APIs.some((api) => api.key === key));
+    const orderedAPIs = savedOrder
+      .map((key) => this.APIs.find((api) => api.key === key))
+      .concat(this.APIs.filter((api) => !savedOrder.includes(api.key)));
+
+    orderedAPIs.forEach((api) => {
+      const listItem = this._injectXULElement(
+        document,
+        "richlistitem",
+        `citationcounts-preference-pane-fallback-item-${api.key}`,
+        { value: api.key },
+        "citationcounts-preference-pane-fallback-list"
+      );
+
+      this._injectXULElement(
+        document,
+        "checkbox",
+        `citationcounts-preference-pane-fallback-checkbox-${api.key}`,
+        { label: api.name, checked: savedOrder.includes(api.key) },
+        listItem.id,
+        { command: () => this._saveFallbackOrder() }
+      );
+    });
+  },
+
+  /**
+   * Move the selected API of the fallback order list up (-1) or down (1).
+   */
+  moveFallbackAPI: function (direction) {
+    const list = document.getElementById(
+      "citationcounts-preference-pane-fallback-list"
+    );
+    const listItem = list.selectedItem;
+    if (!listItem) return;
+
+    if (direction < 0 && listItem.previousElementSibling) {
+      list.insertBefore(listItem, listItem.previousElementSibling);
+    } else if (direction > 0 && listItem.nextElementSibling) {
+      list.insertBefore(listItem.nextElementSibling, listItem);
+    } else {
+      return;
+    }
+
+    list.selectedItem = listItem;
+    this._saveFallbackOrder();
+  },
+
+  /**
+   * Save the checked APIs of the fallback order list, in their current order.
+   */
+  _saveFallbackOrder: function () {
+    const fallbackOrder = Array.from(
+      document.getElementById("citationcounts-preference-pane-fallback-list")
+        .children
+    )
+      .filter((listItem) => listItem.querySelector("checkbox").checked)
+      .map((listItem) => listItem.getAttribute("value"));
+
+    Zotero.Prefs.set(
+      "extensions.citationcounts.fallbackOrder",
+      fallbackOrder.join(","),
+      true
+    );
+  },
+
+  /**
+   * Fill the rate limit rows: the requests per second and burst size of each API, saved to the "rateLimits" preference.
+   */
+  _initRateLimits: function () {
+    this._initAPIInputs("rateLimits", "citationcounts-preference-pane-rate-limits", [
+      {
+        field: "requestsPerSecond",
+        l10nID: "citationcounts-preferences-pane-rate-limit-requests-per-second",
+        min: 0,
+        getDefault: (api) => api.rateLimit && api.rateLimit.requestsPerSecond,
+      },
+      {
+        field: "burst",
+        l10nID: "citationcounts-preferences-pane-rate-limit-burst",
+        min: 1,
+        getDefault: (api) => api.rateLimit && api.rateLimit.burst,
+      },
+    ]);
+  },
+
+  /**
+   * Fill the response cache rows: the hours the responses of each API are kept, saved to the "cacheTtls" preference.
+   */
+  _initCacheTtls: function () {
+    this._initAPIInputs("cacheTtls", "citationcounts-preference-pane-cache-ttls", [
+      {
+        l10nID: "citationcounts-preferences-pane-cache-ttl-hours",
+        min: 0,
+        getDefault: (api) => api.cacheTtlHours,
+      },
+    ]);
+  },
+
+  /**
+   * Add a row per API to the box *containerID*, with a number input per field of the API's entry in the JSON preference
+   * *pref* (an object by API key). The entries are objects of the *fields*, or the value itself for a field without name.
+   * An empty input keeps the API's default, shown as placeholder. An invalid one isn't saved, but shows the
+   * "<containerID>-error" label.
+   *
+   * @param fields - [{field, l10nID, min, getDefault}], *getDefault* is called with the API as registered by the plugin.
+   */
+  _initAPIInputs: function (pref, containerID, fields) {
+    const values = this._getJSONPref(pref);
+    const registeredAPIs =
+      (Zotero.CitationCounts && Zotero.CitationCounts.APIs) || [];
+
+    this.APIs.forEach((api) => {
+      const registeredAPI =
+        registeredAPIs.find(({ key }) => key === api.key) || {};
+      const row = this._injectXULElement(
+        document,
+        "hbox",
+        `${containerID}-${api.key}`,
+        { align: "center" },
+        containerID
+      );
+      this._injectXULElement(
+        document,
+        "label",
+        `${containerID}-${api.key}-name`,
+        { value: api.name },
+        row.id
+      );
+
+      fields.forEach(({ field, l10nID, min, getDefault }) => {
+        const id = `${containerID}-${api.key}-${field || "value"}`;
+        const value = field ? (values[api.key] || {})[field] : values[api.key];
+        const defaultValue = getDefault(registeredAPI);
+
+        this._injectXULElement(
+          document,
+          "label",
+          `${id}-label`,
+          { "data-l10n-id": l10nID },
+          row.id
+        );
+        const input = this._injectHTMLInput(
+          document,
+          id,
+          {
+            type: "number",
+            min,
+            step: "any",
+            value: value === undefined ? null : value,
+            placeholder:
+              defaultValue === undefined
+                ? null
+                : String(Number(defaultValue.toFixed(3))),
+          },
+          row.id
+        );
+        input.addEventListener("change", () =>
+          this._saveAPIInput(pref, containerID, api.key, field, min, input)
+        );
+      });
+    });
+  },
+
+  /**
+   * Save the value of *input* to the entry of *apiKey* in the JSON preference *pref*, see *_initAPIInputs*.
+   */
+  _saveAPIInput: function (pref, containerID, apiKey, field, min, input) {
+    const text = input.value.trim();
+    const number = Number(text);
+    const valid = text === "" || (Number.isFinite(number) && number >= min);
+
+    if (valid) {
+      this._invalidInputs.delete(input.id);
+    } else {
+      this._invalidInputs.add(input.id);
+    }
+    document.getElementById(`${containerID}-error`).hidden = ![
+      ...this._invalidInputs,
+    ].some((id) => id.startsWith(`${containerID}-`));
+    if (!valid) return;
+
+    const values = this._getJSONPref(pref);
+    if (field) {
+      const entry = { ...values[apiKey] };
+      if (text === "") {
+        delete entry[field];
+      } else {
+        entry[field] = number;
+      }
+      values[apiKey] = entry;
+      if (!Object.keys(entry).length) delete values[apiKey];
+    } else if (text === "") {
+      delete values[apiKey];
+    } else {
+      values[apiKey] = number;
+    }
+
+    Zotero.Prefs.set(
+      `extensions.citationcounts.${pref}`,
+      Object.keys(values).length ? JSON.stringify(values) : "",
+      true
+    );
+  },
+
+  /**
+   * Get the JSON object preference *pref*, or an empty object if it's empty or invalid.
+   */
+  _getJSONPref: function (pref) {
+    try {
+      const value = JSON.parse(
+        Zotero.Prefs.get(`extensions.citationcounts.${pref}`, true) || "{}"
+      );
+      return value && typeof value === "object" ? value : {};
+    } catch (error) {
+      return {};
+    }
+  },
+
+  /**
+   * Delete the response cache (see ZoteroCitationCounts.clearResponseCache), and show whether it worked.
+   */
+  clearCache: async function () {
+    const cleared = await Zotero.CitationCounts.clearResponseCache();
+    const status = document.getElementById(
+      "citationcounts-preference-pane-clear-cache-status"
+    );
+    status.setAttribute(
+      "data-l10n-id",
+      cleared
+        ? "citationcounts-preferences-pane-cache-cleared"
+        : "citationcounts-preferences-pane-cache-clear-failed"
+    );
+    status.hidden = false;
   },
 
   /**
@@ -74,4 +393,23 @@ ZoteroCitationCounts_Prefs = {
 
     return element;
   },
+
+  /**
+   * Like *_injectXULElement*, for an HTML input element (e.g. a number input, which XUL lacks).
+   */
+  _injectHTMLInput: function (document, elementID, elementAttributes, parentID) {
+    const element = document.createElementNS(
+      "http://www.w3.org/1999/xhtml",
+      "input"
+    );
+    element.id = elementID;
+
+    Object.entries(elementAttributes || {})
+      .filter(([_, value]) => value !== null && value !== undefined)
+      .forEach(([key, value]) => element.setAttribute(key, value));
+
+    document.getElementById(parentID).appendChild(element);
+
+    return element;
+  },
 };
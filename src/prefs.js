@@ -1,2 +1,20 @@
 pref("extensions.citationcounts.autoretrieve", "none");
 pref("extensions.citationcounts.nasaadsApiKey", "");
+pref("extensions.citationcounts.openalexMailto", "");
+pref("extensions.citationcounts.fallbackOrder", "inspire,nasaads,semanticscholar,openalex,crossref");
+pref("extensions.citationcounts.columnAggregation", "recent");
+pref("extensions.citationcounts.columnPreferredSource", "crossref");
+pref("extensions.citationcounts.includeSubcollections", false);
+pref("extensions.citationcounts.concurrency", 3);
+pref("extensions.citationcounts.rateLimits", "");
+pref("extensions.citationcounts.retryMaxAttempts", 3);
+pref("extensions.citationcounts.retryBaseDelayMs", 1000);
+pref("extensions.citationcounts.apiTimeoutMs", 30000);
+pref("extensions.citationcounts.cacheTtls", "");
+pref("extensions.citationcounts.autorefresh", "none");
+pref("extensions.citationcounts.autorefreshIntervalDays", 7);
+pref("extensions.citationcounts.staleDays", 30);
+pref("extensions.citationcounts.autorefreshDelayMs", 5000);
+pref("extensions.citationcounts.autorefreshLastRun", "");
+pref("extensions.citationcounts.pendingOperations", "[]");
+pref("extensions.citationcounts.offlineQueue", "[]");
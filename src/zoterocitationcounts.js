@@ -8,11 +8,70 @@ ZoteroCitationCounts = {
   l10n: null,
   APIs: [],
 
+  /**
+   * Pseudo-API that tries the APIs in the user's fallback order until one of them has a citation count.
+   * Its name is only used in the logs, the UI has its own Fluent messages, see *_apiL10nID*.
+   */
+  fallbackAPI: { key: "fallback", name: "best available" },
+
+  /**
+   * Pseudo-API that retrieves citation counts from every API, storing one line per API.
+   * Its name is only used in the logs, like *fallbackAPI*'s.
+   */
+  allAPI: { key: "all", name: "all" },
+
   /**
    * Track injected XULelements for removal upon mainWindowUnload.
    */
   _addedElementIDs: [],
 
+  /**
+   * The listeners added to Zotero's collection tree context menu, by document, for removal upon mainWindowUnload.
+   */
+  _collectionMenuListeners: new Map(),
+
+  /**
+   * Token buckets of the rate limited API hosts, by host, see *_acquireRateLimitToken*.
+   */
+  _rateLimitBuckets: {},
+
+  /**
+   * Response bodies of recent lookups, and the requests of running ones, by lookup key, see *_fetchShared*.
+   */
+  _lookupCache: new Map(),
+  _pendingLookups: new Map(),
+  _lookupCacheTtlMs: 5 * 60 * 1000,
+
+  /**
+   * Number of TTLs for which an expired response with an ETag or Last-Modified date is kept for revalidation, see *pruneResponseCache*.
+   */
+  _cacheRevalidationTtls: 4,
+
+  /**
+   * Citation count history entries of the last 12 months, plus the latest one before as baseline, by item ID.
+   * Loaded by *initHistory*, so that the "citations gained" column can be computed synchronously.
+   */
+  _recentHistory: new Map(),
+
+  /**
+   * State of the scheduled background refresh of stale citation counts, see *startAutoRefresh*.
+   */
+  _autoRefreshTimer: null,
+  _autoRefreshRunning: false,
+
+  /**
+   * Running citation count retrieval operations, see *_startOperation*.
+   */
+  _operations: [],
+  _nextOperationID: 1,
+
+  /**
+   * State of the retries of the offline queue, see *startOfflineQueue*.
+   */
+  _networkObserver: null,
+  _offlineRetryTimer: null,
+  _offlineQueueRetrying: false,
+
   _log(msg, level = "info") { // 默认为 info 级别
     let message = "Zotero Citation Counts: " + msg;
     Zotero.debug(message); // 输出到控制台
@@ -36,11 +95,16 @@ ZoteroCitationCounts = {
     /**
      * To add a new API:
      * -----------------
-     * (1) Create a urlBuilder method on the ZoteroCitationCounts object. Args: urlencoded *id* and *idtype* ("doi" or "arxiv"). Return: URL for API request.
+     * (1) Create a urlBuilder method on the ZoteroCitationCounts object. Args: urlencoded *id* and *idtype* ("doi", "arxiv", "pmid" or "pmcid"), or a metadata object and "title_author_year". Return: URL for API request.
      *
      * (2) Create a responseCallback method on the ZoteroCitationCounts object. Args: *response* from api call. Return: citation count number.
+     *     Optionally, a metricsCallback may be added too. Args: *response* from api call. Return: object of additional metrics (name -> value) to store next to the count.
      *
-     * (3) Register the API here, and specify whether it works with doi, arxiv id or both.
+     * (3) Register the API here, and specify which lookup methods it supports (useDoi, useArxiv, usePmid, useTitleSearch).
+     *     Set *column* to also register a "Citations (API name)" item tree column for it.
+     *     Set *host* (of the URLs it builds) and *rateLimit* ({requestsPerSecond, burst}) to throttle its requests. The "rateLimits" preference overrides the rate limit by API key.
+     *     Set *cacheTtlHours* to keep its responses in the response cache for that long (not cached by default). The "cacheTtls" preference overrides it by API key.
+     *     Set *batch* ({size, retrieve}) if the API can look up the DOIs / arXiv ids of up to *size* items with one request. *retrieve* Args: array of {type ("doi" or "arxiv"), id (not urlencoded)}. Return: array of citation counts in the same order (null for unknown ids).
      *
      * (4) for now, you also need to register the APIs key and name in "preferences.js" (important that they match the keys and names from below).
      */
@@ -48,6 +112,10 @@ ZoteroCitationCounts = {
       {
         key: "crossref",
         name: "Crossref",
+        column: true,
+        host: "api.crossref.org",
+        cacheTtlHours: 24,
+        rateLimit: { requestsPerSecond: 5, burst: 5 },
         useDoi: true,
         useArxiv: false,
         methods: {
@@ -58,6 +126,10 @@ ZoteroCitationCounts = {
       {
         key: "inspire",
         name: "INSPIRE-HEP",
+        column: true,
+        host: "inspirehep.net",
+        cacheTtlHours: 24,
+        rateLimit: { requestsPerSecond: 3, burst: 15 },
         useDoi: true,
         useArxiv: true,
         methods: {
@@ -68,6 +140,12 @@ ZoteroCitationCounts = {
       {
         key: "semanticscholar",
         name: "Semantic Scholar",
+        column: true,
+        host: "api.semanticscholar.org",
+        cacheTtlHours: 24,
+        // One request every 3 seconds, to stay within the limit shared by clients without an API key.
+        rateLimit: { requestsPerSecond: 1 / 3, burst: 1 },
+        batch: { size: 500, retrieve: this._semanticScholarBatch.bind(this) },
         useDoi: true,
         useArxiv: true,
         useTitleSearch: true,
@@ -79,6 +157,11 @@ ZoteroCitationCounts = {
       {
         key: "nasaads",
         name: "NASA ADS",
+        column: true,
+        host: "api.adsabs.harvard.edu",
+        cacheTtlHours: 24,
+        rateLimit: { requestsPerSecond: 1, burst: 5 },
+        batch: { size: 50, retrieve: this._nasaadsBatch.bind(this) },
         useDoi: true,
         useArxiv: true,
         useTitleSearch: true,
@@ -87,20 +170,261 @@ ZoteroCitationCounts = {
           responseCallback: this._nasaadsCallback.bind(this),
         },
       },
+      {
+        key: "openalex",
+        name: "OpenAlex",
+        host: "api.openalex.org",
+        cacheTtlHours: 24,
+        rateLimit: { requestsPerSecond: 10, burst: 10 },
+        batch: { size: 50, retrieve: this._openAlexBatch.bind(this) },
+        useDoi: true,
+        useArxiv: true,
+        useTitleSearch: true,
+        methods: {
+          urlBuilder: this._openAlexUrl.bind(this),
+          responseCallback: this._openAlexCallback.bind(this),
+        },
+      },
+      {
+        key: "opencitations",
+        name: "OpenCitations",
+        host: "api.opencitations.net",
+        cacheTtlHours: 168,
+        useDoi: true,
+        useArxiv: false,
+        methods: {
+          urlBuilder: this._openCitationsUrl,
+          responseCallback: this._openCitationsCallback,
+        },
+      },
+      {
+        key: "europepmc",
+        name: "Europe PMC",
+        host: "www.ebi.ac.uk",
+        cacheTtlHours: 24,
+        useDoi: true,
+        useArxiv: false,
+        usePmid: true,
+        useTitleSearch: true,
+        methods: {
+          urlBuilder: this._europePmcUrl,
+          responseCallback: this._europePmcCallback.bind(this),
+        },
+      },
+      {
+        key: "icite",
+        name: "NIH iCite",
+        host: "icite.od.nih.gov",
+        cacheTtlHours: 168,
+        useDoi: false,
+        useArxiv: false,
+        usePmid: true,
+        methods: {
+          urlBuilder: this._iciteUrl,
+          responseCallback: this._iciteCallback,
+          metricsCallback: this._iciteMetricsCallback,
+        },
+      },
+      {
+        key: "datacite",
+        name: "DataCite",
+        host: "api.datacite.org",
+        cacheTtlHours: 24,
+        useDoi: true,
+        useArxiv: true,
+        methods: {
+          urlBuilder: this._dataciteUrl,
+          responseCallback: this._dataciteCallback,
+        },
+      },
     ];
 
     this._initialized = true;
   },
 
   getCitationCount: function (item) {
-    const extraFieldLines = (item.getField("extra") || "")
-      .split("\n")
-      .filter((line) => /^Citations:|^\d+ citations/i.test(line));
-    if (extraFieldLines.length > 0) {
-      const match = extraFieldLines[0].match(/\d+/);
-      if (match) return match[0];
+    const citationCount = this._aggregateCitationCounts(
+      this.getCitationCounts(item)
+    );
+    return citationCount === null ? "-" : String(citationCount);
+  },
+
+  /**
+   * Get the sortable data of the citation count columns registered in bootstrap.js: the aggregated
+   * citation count, or, if *api* is given, only the count that API stored.
+   * The integer part is zero-padded so that the item tree's string sort orders counts numerically.
+   * Items without a count get an empty string, which the item tree always sorts last.
+   * *renderCitationCountCell* turns the data back into a readable number.
+   */
+  getCitationCountColumnData: function (item, api = null) {
+    const citationCounts = this.getCitationCounts(item);
+    let citationCount;
+    if (api) {
+      const apiCitationCount = this._findCitationCountOfAPI(citationCounts, api);
+      citationCount = apiCitationCount ? apiCitationCount.count : null;
+    } else {
+      citationCount = this._aggregateCitationCounts(citationCounts);
+    }
+    if (citationCount === null) return "";
+
+    return this._toSortableColumnData(citationCount);
+  },
+
+  /**
+   * Get the sortable data of the citation velocity column: the aggregated citation count divided by the
+   * years since the items publication year (at least 1), rounded to one decimal.
+   */
+  getCitationVelocityColumnData: function (item) {
+    const citationCount = this._aggregateCitationCounts(this.getCitationCounts(item));
+    const year = this._getItemYear(item);
+    if (citationCount === null || !year) return "";
+
+    const years = Math.max(1, new Date().getFullYear() - parseInt(year));
+    return this._toSortableColumnData(Math.round((citationCount / years) * 10) / 10);
+  },
+
+  /**
+   * Get the sortable data of the "citations gained in the last 12 months" column, from the citation count history.
+   * The gain of each source is its latest count minus its count 12 months ago (or, if the history doesn't
+   * go back that far, its oldest count). The gains of several sources are aggregated like the citation count column.
+   */
+  getCitationsGainedColumnData: function (item) {
+    const cutoff = new Date();
+    cutoff.setFullYear(cutoff.getFullYear() - 1);
+    const cutoffDate = cutoff.toISOString().split("T")[0];
+
+    const history = this._recentHistory.get(item.id) || [];
+    const gains = [...new Set(history.map(({ source }) => source))]
+      .map((source) => {
+        const entries = history.filter((entry) => entry.source === source);
+        const latest = entries[entries.length - 1];
+        const baseline = entries.filter(({ date }) => date <= cutoffDate).pop() || entries[0];
+        if (latest === baseline || latest.date <= cutoffDate) return null;
+
+        // Counts can drop when an API merges duplicate records.
+        return { count: Math.max(0, latest.count - baseline.count), source, date: latest.date };
+      })
+      .filter((gain) => gain);
+
+    const citationsGained = this._aggregateCitationCounts(gains);
+    return citationsGained === null ? "" : this._toSortableColumnData(citationsGained);
+  },
+
+  /**
+   * Zero-pad the integer part of a column value, so that the item tree's string sort orders values numerically.
+   */
+  _toSortableColumnData: function (value) {
+    const [integerPart, fractionalPart] = String(value).split(".");
+    return (
+      integerPart.padStart(12, "0") + (fractionalPart ? `.${fractionalPart}` : "")
+    );
+  },
+
+  /**
+   * Render a cell of the citation count columns, with locale-aware digit grouping ("-" if there is no count).
+   * Args and return value as expected by Zotero.ItemTreeManager.registerColumns' *renderCell*.
+   */
+  renderCitationCountCell: function (index, data, column, isFirstColumn, doc) {
+    const cell = doc.createElement("span");
+    cell.className = `cell ${column.className}`;
+    cell.textContent =
+      data === "" ? "-" : Number(data).toLocaleString(Zotero.locale);
+    return cell;
+  },
+
+  /**
+   * Find the citation count of an API among those returned by *getCitationCounts*, whatever lookup method it used.
+   */
+  _findCitationCountOfAPI: function (citationCounts, api) {
+    return citationCounts.find(
+      ({ source }) => source && source.split("/")[0] === api.name
+    );
+  },
+
+  /**
+   * Reduce the citation counts of several sources to the single value shown in the column,
+   * as set by the "columnAggregation" preference: "preferred" (the source set by the
+   * "columnPreferredSource" preference), "max", "min", "median" or "recent" (the default).
+   * "preferred" falls back to "recent" if the item has no count from the preferred source.
+   *
+   * @param citationCounts - As returned by *getCitationCounts*.
+   * @returns {number|null} - null if there are no citation counts.
+   */
+  _aggregateCitationCounts: function (citationCounts) {
+    if (citationCounts.length === 0) return null;
+
+    const counts = citationCounts.map((citationCount) => citationCount.count);
+    switch (this.getPref("columnAggregation")) {
+      case "preferred": {
+        const preferredAPI = this.APIs.find(
+          (api) => api.key === this.getPref("columnPreferredSource")
+        );
+        const preferred =
+          preferredAPI &&
+          this._findCitationCountOfAPI(citationCounts, preferredAPI);
+        if (preferred) return preferred.count;
+        break;
+      }
+      case "max":
+        return Math.max(...counts);
+      case "min":
+        return Math.min(...counts);
+      case "median": {
+        const sorted = [...counts].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2
+          ? sorted[middle]
+          : (sorted[middle - 1] + sorted[middle]) / 2;
+      }
     }
-    return "-";
+
+    // Most recent: the latest retrieval date, the topmost line on ties (new counts are inserted at the top).
+    return citationCounts.reduce((latest, citationCount) =>
+      (citationCount.date || "") > (latest.date || "") ? citationCount : latest
+    ).count;
+  },
+
+  /**
+   * Get all citation counts stored in an items "extra" field, in the order of their lines.
+   *
+   * @returns {Array} - Objects with *count* (number), *source* (e.g. "Crossref/DOI") and *date* ("YYYY-MM-DD").
+   *                    Source and date are null for lines in the plain "Citations: N" format.
+   */
+  getCitationCounts: function (item) {
+    return (item.getField("extra") || "")
+      .split("\n")
+      .map((line) => {
+        const sourceMatch = /^(\d+) citations(?: \(([^)]+)\))?(?: \[(\d{4}-\d{2}-\d{2})\])?/i.exec(line);
+        if (sourceMatch) {
+          return {
+            count: parseInt(sourceMatch[1]),
+            source: sourceMatch[2] || null,
+            date: sourceMatch[3] || null,
+          };
+        }
+        const plainMatch = /^Citations:\D*(\d+)/i.exec(line);
+        return plainMatch
+          ? { count: parseInt(plainMatch[1]), source: null, date: null }
+          : null;
+      })
+      .filter((citationCount) => citationCount);
+  },
+
+  /**
+   * Get the NIH Relative Citation Ratio stored by the iCite API, for the custom column.
+   * Zero-padded like the citation counts, "" if none is stored.
+   */
+  getRelativeCitationRatio: function (item) {
+    const rcrMatch = /^Relative Citation Ratio: ([\d.]+)/im.exec(item.getField("extra") || "");
+    return rcrMatch ? this._toSortableColumnData(rcrMatch[1]) : "";
+  },
+
+  /**
+   * The Fluent id of the message *l10nID* for *api*. The pseudo-APIs (*fallbackAPI*, *allAPI*) have their own messages,
+   * suffixed with their key, as their names can't be put into the messages of the real APIs.
+   */
+  _apiL10nID: function (l10nID, api) {
+    return [this.fallbackAPI.key, this.allAPI.key].includes(api.key) ? `${l10nID}-${api.key}` : l10nID;
   },
 
   getPref: function (pref) {
@@ -192,7 +516,7 @@ ZoteroCitationCounts = {
       menu.id,
       {
         popupshowing: () => {
-          this.APIs.concat({ key: "none" }).forEach((api) => {
+          this.APIs.concat(this.fallbackAPI, { key: "none" }).forEach((api) => {
             document
               .getElementById(`menu_Tools-citationcounts-menu-popup-${api.key}`)
               .setAttribute(
@@ -204,10 +528,12 @@ ZoteroCitationCounts = {
       }
     );
 
-    this.APIs.concat({ key: "none" }).forEach((api) => {
+    this.APIs.concat(this.fallbackAPI, { key: "none" }).forEach((api) => {
       const label =
         api.key === "none"
           ? { "data-l10n-id": "citationcounts-menutools-autoretrieve-api-none" }
+          : api.key === this.fallbackAPI.key
+          ? { "data-l10n-id": "citationcounts-menutools-autoretrieve-api-fallback" }
           : {
               "data-l10n-id": "citationcounts-menutools-autoretrieve-api",
               "data-l10n-args": `{"api": "${api.name}"}`,
@@ -227,25 +553,216 @@ ZoteroCitationCounts = {
     });
   },
 
+  /**
+   * Create a submenu to Zotero's "Tools"-menu, listing the running citation count retrieval operations,
+   * each of which can be paused, resumed or cancelled.
+   */
+  _createOperationsMenu: function (document) {
+    const menu = this._injectXULElement(
+      document,
+      "menu",
+      "menu_Tools-citationcounts-operations-menu",
+      { "data-l10n-id": "citationcounts-menutools-operations-title" },
+      "menu_ToolsPopup"
+    );
+
+    const menupopup = this._injectXULElement(
+      document,
+      "menupopup",
+      "menu_Tools-citationcounts-operations-menu-popup",
+      {},
+      menu.id
+    );
+    menupopup.addEventListener("popupshowing", () =>
+      this._fillOperationsMenu(document, menupopup)
+    );
+  },
+
+  /**
+   * Replace the entries of the operations *menupopup* with the current operations.
+   * The entries aren't stored in *_addedElementIDs*, as they are removed along with the menu.
+   */
+  _fillOperationsMenu: function (document, menupopup) {
+    while (menupopup.firstChild) {
+      menupopup.firstChild.remove();
+    }
+
+    const addMenuItem = (attributes, onCommand) => {
+      const menuitem = document.createXULElement("menuitem");
+      Object.entries(attributes).forEach(([key, value]) => menuitem.setAttribute(key, value));
+      if (onCommand) menuitem.addEventListener("command", onCommand);
+      menupopup.appendChild(menuitem);
+    };
+
+    if (!this._operations.length) {
+      addMenuItem({ "data-l10n-id": "citationcounts-menutools-operations-none", disabled: true });
+      return;
+    }
+
+    this._operations.forEach((operation, index) => {
+      if (index > 0) menupopup.appendChild(document.createXULElement("menuseparator"));
+
+      const paused = operation.state === "paused";
+      addMenuItem({
+        "data-l10n-id": this._apiL10nID(
+          paused ? "citationcounts-menutools-operation-paused" : "citationcounts-menutools-operation",
+          operation.api
+        ),
+        "data-l10n-args": JSON.stringify({
+          api: operation.api.name,
+          done: operation.finished.size,
+          total: operation.items.length,
+        }),
+        disabled: true,
+      });
+      addMenuItem(
+        { "data-l10n-id": paused ? "citationcounts-menutools-operation-resume" : "citationcounts-menutools-operation-pause" },
+        () => (paused ? this.resumeOperation(operation) : this.pauseOperation(operation))
+      );
+      addMenuItem(
+        { "data-l10n-id": "citationcounts-menutools-operation-cancel" },
+        () => this.cancelOperation(operation)
+      );
+    });
+  },
+
   /**
    * Create a submenu to Zotero's "Item"-context menu, from which citation counts for selected items can be manually retrieved.
    */
   _createItemMenu: function (document) {
+    this._createAPIMenu(
+      document,
+      "zotero-itemmenu-citationcounts",
+      "citationcounts-itemmenu-retrieve-title",
+      "zotero-itemmenu",
+      (api) =>
+        this.updateItems(Zotero.getActiveZoteroPane().getSelectedItems(), api)
+    );
+
+    this._createAPIMenu(
+      document,
+      "zotero-itemmenu-citationcounts-stale",
+      "citationcounts-itemmenu-refresh-stale-title",
+      "zotero-itemmenu",
+      (api) =>
+        this.updateStaleItems(
+          Zotero.getActiveZoteroPane().getSelectedItems(),
+          api
+        )
+    );
+  },
+
+  /**
+   * Create the collection tree context menus, retrieving the citation counts of all items of the
+   * selected collection, saved search or library. They are hidden for the other rows, e.g. the trash.
+   */
+  _createCollectionMenu: function (document) {
+    const retrieve = (update) => async (api) => {
+      try {
+        const items = await this._getCollectionTreeRowItems(
+          Zotero.getActiveZoteroPane().getCollectionTreeRow()
+        );
+        await update(items, api);
+      } catch (error) {
+        this._log(`[Error] _createCollectionMenu: Couldn't retrieve the citation counts of the collection: ${error.message}`);
+      }
+    };
+
+    this._createAPIMenu(
+      document,
+      "zotero-collectionmenu-citationcounts",
+      "citationcounts-collectionmenu-retrieve-title",
+      "zotero-collectionmenu",
+      retrieve((items, api) => this.updateItems(items, api))
+    );
+
+    this._createAPIMenu(
+      document,
+      "zotero-collectionmenu-citationcounts-stale",
+      "citationcounts-itemmenu-refresh-stale-title",
+      "zotero-collectionmenu",
+      retrieve((items, api) => this.updateStaleItems(items, api))
+    );
+
+    const collectionMenu = document.getElementById("zotero-collectionmenu");
+    if (collectionMenu) {
+      const listener = () => this._updateCollectionMenu(document);
+      collectionMenu.addEventListener("popupshowing", listener);
+      this._collectionMenuListeners.set(document, listener);
+    }
+  },
+
+  /**
+   * Only show the collection tree context menus for the rows *_getCollectionTreeRowItems* has items for.
+   */
+  _updateCollectionMenu: function (document) {
+    const collectionTreeRow = Zotero.getActiveZoteroPane().getCollectionTreeRow();
+    const hasItems = Boolean(
+      collectionTreeRow &&
+        (collectionTreeRow.isCollection() ||
+          collectionTreeRow.isSearch() ||
+          collectionTreeRow.isLibrary(true))
+    );
+
+    ["zotero-collectionmenu-citationcounts-menu", "zotero-collectionmenu-citationcounts-stale-menu"].forEach((id) => {
+      const menu = document.getElementById(id);
+      if (menu) menu.hidden = !hasItems;
+    });
+  },
+
+  /**
+   * Get the regular items of a collection tree row: a collection (with its subcollections if the
+   * "includeSubcollections" preference is set), a saved search or a library. Empty for other rows, e.g. the trash.
+   */
+  _getCollectionTreeRowItems: async function (collectionTreeRow) {
+    let items;
+    if (collectionTreeRow.isCollection()) {
+      const collections = [collectionTreeRow.ref];
+      if (this.getPref("includeSubcollections")) {
+        const descendents = collectionTreeRow.ref.getDescendents(false, "collection", false);
+        collections.push(...Zotero.Collections.get(descendents.map(({ id }) => id)));
+      }
+      items = collections.flatMap((collection) => collection.getChildItems(false, false));
+    } else if (collectionTreeRow.isSearch()) {
+      items = await Zotero.Items.getAsync(await collectionTreeRow.ref.search());
+    } else if (collectionTreeRow.isLibrary(true)) {
+      items = await Zotero.Items.getAll(collectionTreeRow.ref.libraryID, true, false);
+    } else {
+      return [];
+    }
+
+    // An item can be in several of the collections.
+    const regularItems = new Map();
+    items
+      .filter((item) => item.isRegularItem())
+      .forEach((item) => regularItems.set(item.id, item));
+    return [...regularItems.values()];
+  },
+
+  /**
+   * Inject a menu with a menuitem for each API, followed by "all sources" and "best available".
+   *
+   * @param idPrefix - Prefix of the ids of the injected elements, e.g. "zotero-itemmenu-citationcounts".
+   * @param titleL10nID - Fluent id of the menu label.
+   * @param parentID - Id of the element the menu is appended to.
+   * @param onCommand - Called with the chosen API when a menuitem is clicked.
+   */
+  _createAPIMenu: function (document, idPrefix, titleL10nID, parentID, onCommand) {
     const menu = this._injectXULElement(
       document,
       "menu",
-      "zotero-itemmenu-citationcounts-menu",
+      `${idPrefix}-menu`,
       {
-        "data-l10n-id": "citationcounts-itemmenu-retrieve-title",
+        "data-l10n-id": titleL10nID,
         class: "menu-iconic",
       },
-      "zotero-itemmenu"
+      parentID
     );
 
     const menupopup = this._injectXULElement(
       document,
       "menupopup",
-      "zotero-itemmenu-citationcounts-menupopup",
+      `${idPrefix}-menupopup`,
       {},
       menu.id
     );
@@ -254,21 +771,175 @@ ZoteroCitationCounts = {
       this._injectXULElement(
         document,
         "menuitem",
-        `zotero-itemmenu-citationcounts-${api.key}`,
+        `${idPrefix}-${api.key}`,
         {
           "data-l10n-id": "citationcounts-itemmenu-retrieve-api",
           "data-l10n-args": `{"api": "${api.name}"}`,
         },
         menupopup.id,
-        {
-          command: () =>
-            this.updateItems(
-              Zotero.getActiveZoteroPane().getSelectedItems(),
-              api
-            ),
-        }
+        { command: () => onCommand(api) }
       );
     });
+
+    this._injectXULElement(
+      document,
+      "menuseparator",
+      `${idPrefix}-separator`,
+      {},
+      menupopup.id
+    );
+
+    this._injectXULElement(
+      document,
+      "menuitem",
+      `${idPrefix}-${this.allAPI.key}`,
+      { "data-l10n-id": "citationcounts-itemmenu-retrieve-all" },
+      menupopup.id,
+      { command: () => onCommand(this.allAPI) }
+    );
+
+    this._injectXULElement(
+      document,
+      "menuitem",
+      `${idPrefix}-${this.fallbackAPI.key}`,
+      { "data-l10n-id": "citationcounts-itemmenu-retrieve-fallback" },
+      menupopup.id,
+      { command: () => onCommand(this.fallbackAPI) }
+    );
+
+    return menu;
+  },
+
+  /**
+   * Render the item pane section, listing every citation count stored for the item,
+   * each with a button to refresh it from its API.
+   * Registered with Zotero.ItemPaneManager in bootstrap.js.
+   */
+  renderItemPaneSection: function ({ body, item }) {
+    const createElement = (tagName, textContent) =>
+      this._createHTMLElement(body.ownerDocument, tagName, textContent);
+
+    body.replaceChildren();
+
+    const citationCounts = item && item.isRegularItem() ? this.getCitationCounts(item) : [];
+    if (!citationCounts.length) {
+      const emptyMessage = createElement("div");
+      emptyMessage.setAttribute("data-l10n-id", "citationcounts-itempane-empty");
+      body.appendChild(emptyMessage);
+      return;
+    }
+
+    const table = createElement("table");
+    table.className = "citationcounts-itempane-table";
+    citationCounts.forEach(({ count, source, date }) => {
+      const row = createElement("tr");
+      const refreshCell = createElement("td");
+      const api = this.APIs.find(
+        (api) => source && source.split("/")[0] === api.name
+      );
+      if (api) {
+        const refreshButton = createElement("button");
+        refreshButton.setAttribute("data-l10n-id", "citationcounts-itempane-refresh");
+        refreshButton.setAttribute("data-l10n-args", JSON.stringify({ api: api.name }));
+        refreshButton.addEventListener("click", () => this.updateItems([item], api));
+        refreshCell.appendChild(refreshButton);
+      }
+      row.append(
+        createElement("th", source || "-"),
+        createElement("td", String(count)),
+        createElement("td", date || ""),
+        refreshCell
+      );
+      table.appendChild(row);
+    });
+    body.appendChild(table);
+  },
+
+  /**
+   * Append the citation count history of the item to the item pane section: a sparkline per source,
+   * followed by every retrieval, oldest first.
+   * Runs after *renderItemPaneSection*, as the history has to be read from the database.
+   */
+  renderItemPaneHistory: async function ({ body, item }) {
+    if (!item || !item.isRegularItem()) return;
+
+    const history = await this.getCitationCountHistory(item);
+    if (!history.length) return;
+
+    const createElement = (tagName, textContent) =>
+      this._createHTMLElement(body.ownerDocument, tagName, textContent);
+
+    const heading = createElement("h4");
+    heading.setAttribute("data-l10n-id", "citationcounts-itempane-history");
+
+    const sparklines = createElement("table");
+    sparklines.className = "citationcounts-itempane-sparklines";
+    const sources = [...new Set(history.map(({ source }) => source))];
+    sources.forEach((source) => {
+      const points = history.filter((entry) => entry.source === source);
+      if (points.length < 2) return;
+
+      const row = createElement("tr");
+      const sparklineCell = createElement("td");
+      sparklineCell.appendChild(this._createSparkline(body.ownerDocument, points));
+      row.append(createElement("th", source), sparklineCell);
+      sparklines.appendChild(row);
+    });
+
+    const table = createElement("table");
+    table.className = "citationcounts-itempane-history-table";
+    history.forEach(({ date, source, count }) => {
+      const row = createElement("tr");
+      row.append(
+        createElement("td", date),
+        createElement("th", source),
+        createElement("td", String(count))
+      );
+      table.appendChild(row);
+    });
+    body.append(heading, sparklines, table);
+  },
+
+  /**
+   * Create a small SVG line chart of citation counts over time.
+   *
+   * @param points - History entries of a single source (with *date* and *count*), oldest first.
+   */
+  _createSparkline: function (document, points, width = 100, height = 20) {
+    const times = points.map(({ date }) => Date.parse(date));
+    const counts = points.map(({ count }) => count);
+    const [minTime, maxTime] = [Math.min(...times), Math.max(...times)];
+    const [minCount, maxCount] = [Math.min(...counts), Math.max(...counts)];
+
+    // Keep a 1px margin, so that the line isn't cut off at the edges.
+    const x = (time) =>
+      maxTime === minTime ? width / 2 : 1 + ((time - minTime) / (maxTime - minTime)) * (width - 2);
+    const y = (count) =>
+      maxCount === minCount ? height / 2 : height - 1 - ((count - minCount) / (maxCount - minCount)) * (height - 2);
+
+    const svgNS = "http://www.w3.org/2000/svg";
+    const svg = document.createElementNS(svgNS, "svg");
+    svg.setAttribute("class", "citationcounts-sparkline");
+    svg.setAttribute("width", width);
+    svg.setAttribute("height", height);
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+
+    const polyline = document.createElementNS(svgNS, "polyline");
+    polyline.setAttribute(
+      "points",
+      points.map((_, i) => `${x(times[i]).toFixed(1)},${y(counts[i]).toFixed(1)}`).join(" ")
+    );
+    polyline.setAttribute("fill", "none");
+    polyline.setAttribute("stroke", "currentColor");
+    svg.appendChild(polyline);
+
+    return svg;
+  },
+
+  _createHTMLElement: function (document, tagName, textContent) {
+    const element = document.createElementNS("http://www.w3.org/1999/xhtml", tagName);
+    if (textContent !== undefined) element.textContent = textContent;
+    return element;
   },
 
   /**
@@ -278,7 +949,9 @@ ZoteroCitationCounts = {
     window.MozXULElement.insertFTLIfNeeded("citation-counts.ftl");
 
     this._createToolsMenu(window.document);
+    this._createOperationsMenu(window.document);
     this._createItemMenu(window.document);
+    this._createCollectionMenu(window.document);
   },
 
   /**
@@ -307,6 +980,13 @@ ZoteroCitationCounts = {
     }
     this._addedElementIDs = [];
 
+    const collectionMenuListener = this._collectionMenuListeners.get(document);
+    if (collectionMenuListener) {
+      const collectionMenu = document.getElementById("zotero-collectionmenu");
+      if (collectionMenu) collectionMenu.removeEventListener("popupshowing", collectionMenuListener);
+      this._collectionMenuListeners.delete(document);
+    }
+
     const ftlElement = document.querySelector('[href="citation-counts.ftl"]');
     if (ftlElement) {
       ftlElement.remove();
@@ -330,18 +1010,55 @@ ZoteroCitationCounts = {
   /////////////////////////////////////////////////////////
 
   /**
-   * Start citation count retrieval operation
+   * Update the citation counts of those *items* whose count from *api* is missing or older than "staleDays" days.
+   * The number of skipped items is shown in the ProgressWindow headline.
    */
-  updateItems: async function (itemsRaw, api) {
-    this._log(`Entering updateItems for API: ${api ? api.name : 'Unknown'}. Number of raw items: ${itemsRaw ? itemsRaw.length : 0}. API Object Name: ${api ? api.name : 'N/A'}`);
+  updateStaleItems: async function (itemsRaw, api) {
     const items = itemsRaw.filter((item) => !item.isFeedItem);
-    if (!items.length) return;
+    const staleDays = parseInt(this.getPref("staleDays")) || 30;
+    const staleItems = items.filter((item) => this._isStale(item, api, staleDays));
+    const skippedCount = items.length - staleItems.length;
+    this._log(`[Info] updateStaleItems: ${staleItems.length} stale items, ${skippedCount} skipped for API: ${api.name}`);
+
+    if (staleItems.length) {
+      await this.updateItems(staleItems, api, skippedCount);
+      return;
+    }
 
+    if (!items.length) return;
     const progressWindow = new Zotero.ProgressWindow();
     progressWindow.changeHeadline(
-      await this.l10n.formatValue("citationcounts-progresswindow-headline", {
+      await this.l10n.formatValue(this._apiL10nID("citationcounts-progresswindow-nothing-stale-headline", api), {
         api: api.name,
+        skipped: skippedCount,
       }),
+      this.icon("tick")
+    );
+    progressWindow.show();
+    progressWindow.startCloseTimer(5000);
+  },
+
+  /**
+   * Start citation count retrieval operation
+   *
+   * @param skippedCount - Number of items left out of *itemsRaw* because their citation counts are up to date, shown in the headline.
+   * @returns {Array} - The items whose citation count couldn't be retrieved because no API could be reached, see *queueOfflineItems*.
+   */
+  updateItems: async function (itemsRaw, api, skippedCount = 0) {
+    this._log(`Entering updateItems for API: ${api ? api.name : 'Unknown'}. Number of raw items: ${itemsRaw ? itemsRaw.length : 0}. API Object Name: ${api ? api.name : 'N/A'}`);
+    const items = itemsRaw.filter((item) => !item.isFeedItem);
+    if (!items.length) return [];
+
+    const progressWindow = new Zotero.ProgressWindow();
+    progressWindow.changeHeadline(
+      skippedCount
+        ? await this.l10n.formatValue(this._apiL10nID("citationcounts-progresswindow-headline-skipped", api), {
+            api: api.name,
+            skipped: skippedCount,
+          })
+        : await this.l10n.formatValue(this._apiL10nID("citationcounts-progresswindow-headline", api), {
+            api: api.name,
+          }),
       this.icon("toolbar-advanced-search")
     );
 
@@ -355,78 +1072,132 @@ ZoteroCitationCounts = {
 
     progressWindow.show();
 
-    await this._updateItem(0, items, api, progressWindow, progressWindowItems);
+    return this._updateItem(0, items, api, progressWindow, progressWindowItems, skippedCount);
   },
 
   /**
-   * Updates citation counts iteratively for a list of items.
+   * Updates citation counts for a list of items, up to "concurrency" items at a time.
    *
    * @param startIndex - Index to start processing from. Zero-based.
    * @param items - List of all Items to be updated in this operation.
-   * @param api - API to be used to retrieve *items* citation counts.
+   * @param api - API to be used to retrieve *items* citation counts, *fallbackAPI* to use the fallback order, or *allAPI* to use every API.
    * @param progressWindow - ProgressWindow associated with this operation.
    * @param progressWindowItems - List of references to each Zotero.ItemProgress in *progressWindow*.
+   * @param skippedCount - Number of up-to-date items skipped by *updateStaleItems*, shown in the finished headline.
+   * @param background - Whether this is a background refresh, which is neither listed in the operations menu nor resumed after a restart.
+   * @returns {Array} - The items that failed because no API could be reached.
    */
   _updateItem: async function (
     startIndex,
     items,
     api, // This is an object from the APIs array
     progressWindow,
-    progressWindowItems
+    progressWindowItems,
+    skippedCount = 0,
+    background = false
   ) {
-    for (let currentItemIndex = startIndex; currentItemIndex < items.length; currentItemIndex++) {
-      const item = items[currentItemIndex];
-      const pwItem = progressWindowItems[currentItemIndex];
-      this._log(`[Info] _updateItem: Processing item ${currentItemIndex + 1}/${items.length}: '${item.getField('title') || item.id}' for API: ${api.name}`);
+    const operation = this._startOperation(startIndex, items, api, progressWindow, !background);
+
+    // Batch requests of an API with *batch*, by index of their first item, see *_retrieveCitationCountFromBatch*.
+    const batches = new Map();
+    const unreachableItems = [];
+
+    // Workers take the next unprocessed item until none are left, so that several items are
+    // retrieved at once. Each item keeps its own ProgressWindow row.
+    const concurrency = Math.max(1, parseInt(this.getPref("concurrency")) || 3);
+    let nextItemIndex = startIndex;
+    const worker = async () => {
+      while (nextItemIndex < items.length) {
+        // Items that are being retrieved when the operation is paused or cancelled are still finished.
+        await this._waitWhilePaused(operation);
+        if (operation.state !== "running" || nextItemIndex >= items.length) break;
+
+        const currentItemIndex = nextItemIndex++;
+        const item = items[currentItemIndex];
+        const pwItem = progressWindowItems[currentItemIndex];
+        this._log(`[Info] _updateItem: Processing item ${currentItemIndex + 1}/${items.length}: '${item.getField('title') || item.id}' for API: ${api.name}`);
 
-      try {
-        this._log(`[Info] _updateItem: Calling _retrieveCitationCount for item '${item.getField('title') || item.id}'`);
-        const [count, source] = await this._retrieveCitationCount(
-          item,
-          api.name, // Pass the API name
-          api.useDoi, // Pass DOI preference
-          api.useArxiv, // Pass ArXiv preference
-          api.methods.urlBuilder,
-          api.methods.responseCallback,
-          api.useTitleSearch // Pass title search preference
-        );
-        this._log(`[Info] _updateItem: _retrieveCitationCount returned for item '${item.getField('title') || item.id}'. Count: ${count}, Source: ${source}`);
+        try {
+          this._log(`[Info] _updateItem: Calling _retrieveCitationCount for item '${item.getField('title') || item.id}'`);
+          let results;
+          if (api.key === this.allAPI.key) {
+            results = await this._retrieveCitationCountsFromAllAPIs(item);
+          } else if (api.key === this.fallbackAPI.key) {
+            results = [await this._retrieveCitationCountWithFallback(item)];
+          } else if (api.batch) {
+            results = [await this._retrieveCitationCountFromBatch(item, currentItemIndex, items, api, batches)];
+          } else {
+            results = [await this._retrieveCitationCountFromAPI(item, api)];
+          }
 
-        this._log(`[Info] _updateItem: Calling _setCitationCount for item '${item.getField('title') || item.id}'`);
-        this._setCitationCount(item, source, count);
-        this._log(`[Info] _updateItem: _setCitationCount finished for item '${item.getField('title') || item.id}'`);
+          for (const [count, source, metrics] of results) {
+            this._log(`[Info] _updateItem: _retrieveCitationCount returned for item '${item.getField('title') || item.id}'. Count: ${count}, Source: ${source}`);
 
-        pwItem.setIcon(this.icon("tick"));
-        pwItem.setProgress(100);
-      } catch (error) {
-        this._log(`[Error] _updateItem: Error processing item '${item.getField('title') || item.id}': ${error.message}${error.stack ? '\nStack: ' + error.stack : ''}`);
-        pwItem.setError();
-        let errorMessageText = await this.l10n.formatValue(error.message, { api: api.name });
-        if (errorMessageText == null) { // Check for both null and undefined
-          this._log(`[Warning] _updateItem: l10n.formatValue returned null/undefined for error key '${error.message}'. Using fallback message.`);
-          // Attempt to get a generic fallback message, or use a hardcoded one.
-          let fallbackErrorMessage = await this.l10n.formatValue("citationcounts-progresswindow-error-unknown", { api: api.name });
-          if (fallbackErrorMessage == null) {
-              fallbackErrorMessage = `Error processing item (key: ${error.message || 'unknown'})`; // Hardcoded fallback
+            this._log(`[Info] _updateItem: Calling _setCitationCount for item '${item.getField('title') || item.id}'`);
+            await this._setCitationCount(item, source, count, metrics);
+            this._log(`[Info] _updateItem: _setCitationCount finished for item '${item.getField('title') || item.id}'`);
           }
-          errorMessageText = fallbackErrorMessage;
+
+          pwItem.setIcon(this.icon("tick"));
+          pwItem.setProgress(100);
+        } catch (error) {
+          this._log(`[Error] _updateItem: Error processing item '${item.getField('title') || item.id}': ${error.message}${error.stack ? '\nStack: ' + error.stack : ''}`);
+          pwItem.setError();
+          if (this._isUnreachableError(error)) unreachableItems.push(item);
+          // The errors of the pseudo-APIs name the API that failed, see *_retrieveCitationCountWithFallback*.
+          const errorAPI = error.api || api;
+          let errorMessageText = await this.l10n.formatValue(error.message, { api: errorAPI.name });
+          if (errorMessageText == null) { // Check for both null and undefined
+            this._log(`[Warning] _updateItem: l10n.formatValue returned null/undefined for error key '${error.message}'. Using fallback message.`);
+            // Attempt to get a generic fallback message, or use a hardcoded one.
+            let fallbackErrorMessage = await this.l10n.formatValue("citationcounts-progresswindow-error-unknown", { api: errorAPI.name });
+            if (fallbackErrorMessage == null) {
+                fallbackErrorMessage = `Error processing item (key: ${error.message || 'unknown'})`; // Hardcoded fallback
+            }
+            errorMessageText = fallbackErrorMessage;
+          }
+          new progressWindow.ItemProgress(
+            this.icon("bullet_yellow"),
+            errorMessageText, // Use the potentially modified errorMessageText
+            pwItem
+          );
         }
-        new progressWindow.ItemProgress(
-          this.icon("bullet_yellow"),
-          errorMessageText, // Use the potentially modified errorMessageText
-          pwItem
-        );
+
+        operation.finished.add(currentItemIndex);
+        if (operation.registered) this._saveOperations();
+        this._log(`[Info] _updateItem: Moving to next item for API: ${api.name}`);
       }
+    };
 
-      this._log(`[Info] _updateItem: Moving to next item for API: ${api.name}`);
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, items.length - startIndex) }, worker)
+    );
+
+    this._endOperation(operation);
+    if (operation.state === "stopped") return unreachableItems;
+    if (operation.state === "cancelled") {
+      progressWindow.changeHeadline(
+        await this.l10n.formatValue(this._apiL10nID("citationcounts-progresswindow-cancelled-headline", api), {
+          api: api.name,
+          remaining: items.length - operation.finished.size,
+        })
+      );
+      progressWindow.startCloseTimer(5000);
+      this._log(`[Info] _updateItem: Cancelled with ${items.length - operation.finished.size} items left for API: ${api.name}`);
+      return unreachableItems;
     }
 
     // All items processed
     try {
-      const headlineFinished = await this.l10n.formatValue(
-        "citationcounts-progresswindow-finished-headline",
-        { api: api.name } // api.name is correct here
-      );
+      const headlineFinished = skippedCount
+        ? await this.l10n.formatValue(
+            this._apiL10nID("citationcounts-progresswindow-finished-headline-skipped", api),
+            { api: api.name, skipped: skippedCount }
+          )
+        : await this.l10n.formatValue(
+            this._apiL10nID("citationcounts-progresswindow-finished-headline", api),
+            { api: api.name } // api.name is correct here
+          );
       progressWindow.changeHeadline(headlineFinished || `Finished getting ${api.name} citation counts.`);
       progressWindow.startCloseTimer(5000);
       this._log(`[Info] _updateItem: Finished processing all items for API: ${api.name}`);
@@ -436,19 +1207,693 @@ ZoteroCitationCounts = {
       progressWindow.startCloseTimer(5000);
       this._log(`[Info] _updateItem: Finished processing all items for API: ${api.name} (with fallback notification)`);
     }
+    return unreachableItems;
+  },
+
+  /**
+   * Start a running operation of *_updateItem*, whose items before *startIndex* are already finished.
+   * Unless *register* is false, it is listed in the operations menu, and its remaining items are saved
+   * in the "pendingOperations" preference, so that it can be resumed after a restart.
+   */
+  _startOperation: function (startIndex, items, api, progressWindow, register = true) {
+    const operation = {
+      id: this._nextOperationID++,
+      items,
+      api,
+      progressWindow,
+      registered: register,
+      state: "running", // "paused", "cancelled", or "stopped" (by shutdown, to be resumed after a restart)
+      finished: new Set(Array.from({ length: startIndex }, (_, index) => index)),
+      resumeWaiters: [],
+    };
+    if (register) {
+      this._operations.push(operation);
+      this._saveOperations();
+    }
+    return operation;
+  },
+
+  /**
+   * Unregister a finished or cancelled *operation*. Stopped operations stay saved, to be resumed after a restart.
+   */
+  _endOperation: function (operation) {
+    if (operation.state === "stopped" || !operation.registered) return;
+    this._operations = this._operations.filter((other) => other !== operation);
+    this._saveOperations();
+  },
+
+  /**
+   * Save the unfinished items of every running, paused or stopped operation in the "pendingOperations" preference (JSON).
+   */
+  _saveOperations: function () {
+    const pendingOperations = this._operations
+      .filter((operation) => operation.state !== "cancelled")
+      .map((operation) => ({
+        api: operation.api.key,
+        itemIDs: operation.items
+          .filter((_, index) => !operation.finished.has(index))
+          .map((item) => item.id),
+      }));
+    this.setPref("pendingOperations", JSON.stringify(pendingOperations));
+  },
+
+  _waitWhilePaused: async function (operation) {
+    while (operation.state === "paused") {
+      await new Promise((resolve) => operation.resumeWaiters.push(resolve));
+    }
+  },
+
+  _setOperationState: function (operation, state) {
+    operation.state = state;
+    const resumeWaiters = operation.resumeWaiters;
+    operation.resumeWaiters = [];
+    resumeWaiters.forEach((resolve) => resolve());
+  },
+
+  /**
+   * Pause *operation* once its items being retrieved right now are finished.
+   */
+  pauseOperation: async function (operation) {
+    if (operation.state !== "running") return;
+    this._setOperationState(operation, "paused");
+    operation.progressWindow.changeHeadline(
+      await this.l10n.formatValue(this._apiL10nID("citationcounts-progresswindow-paused-headline", operation.api), {
+        api: operation.api.name,
+      })
+    );
+  },
+
+  resumeOperation: async function (operation) {
+    if (operation.state !== "paused") return;
+    this._setOperationState(operation, "running");
+    operation.progressWindow.changeHeadline(
+      await this.l10n.formatValue(this._apiL10nID("citationcounts-progresswindow-headline", operation.api), {
+        api: operation.api.name,
+      }),
+      this.icon("toolbar-advanced-search")
+    );
+  },
+
+  /**
+   * Cancel *operation*: its remaining items are neither retrieved nor resumed after a restart.
+   */
+  cancelOperation: function (operation) {
+    if (operation.state === "cancelled") return;
+    this._setOperationState(operation, "cancelled");
+    this._saveOperations();
+  },
+
+  /**
+   * Stop all operations on shutdown, keeping their remaining items saved for *resumePendingOperations*.
+   */
+  stopOperations: function () {
+    this._operations.forEach((operation) => this._setOperationState(operation, "stopped"));
+  },
+
+  /**
+   * Resume the operations that were still running or paused when Zotero was closed.
+   */
+  resumePendingOperations: async function () {
+    let pendingOperations = [];
+    try {
+      pendingOperations = JSON.parse(this.getPref("pendingOperations") || "[]");
+    } catch (error) {
+      this._log(`[Warning] resumePendingOperations: Ignoring invalid pendingOperations preference: ${error.message}`);
+    }
+    this.setPref("pendingOperations", "[]");
+
+    const apis = this.APIs.concat(this.fallbackAPI, this.allAPI);
+    await Promise.all(
+      pendingOperations.map(async ({ api: apiKey, itemIDs }) => {
+        const api = apis.find((api) => api.key === apiKey);
+        if (!api || !Array.isArray(itemIDs) || !itemIDs.length) return;
+
+        const items = (await Zotero.Items.getAsync(itemIDs)).filter(Boolean);
+        this._log(`[Info] resumePendingOperations: Resuming ${items.length} items for API: ${api.name}`);
+        await this.updateItems(items, api);
+      })
+    );
+  },
+
+  /**
+   * Queue autoretrieved *items* that failed because no API could be reached (e.g. while Zotero is offline),
+   * to retrieve them from *api* again once the network is back or at the next start, see *startOfflineQueue*.
+   * The queue is saved in the "offlineQueue" preference (JSON), as item IDs by API key.
+   */
+  queueOfflineItems: function (items, api) {
+    if (!items || !items.length) return;
+
+    const queue = this._loadOfflineQueue();
+    let entry = queue.find((entry) => entry.api === api.key);
+    if (!entry) {
+      entry = { api: api.key, itemIDs: [] };
+      queue.push(entry);
+    }
+    items
+      .filter((item) => !entry.itemIDs.includes(item.id))
+      .forEach((item) => entry.itemIDs.push(item.id));
+    this.setPref("offlineQueue", JSON.stringify(queue));
+    this._log(`[Info] queueOfflineItems: Queued ${items.length} unreachable items for API: ${api.name}`);
+  },
+
+  _loadOfflineQueue: function () {
+    try {
+      const queue = JSON.parse(this.getPref("offlineQueue") || "[]");
+      return Array.isArray(queue) ? queue : [];
+    } catch (error) {
+      this._log(`[Warning] _loadOfflineQueue: Ignoring invalid offlineQueue preference: ${error.message}`);
+      return [];
+    }
+  },
+
+  /**
+   * Retry the offline queue now, and whenever the network comes back (after a short delay, to let the connection settle).
+   */
+  startOfflineQueue: async function () {
+    this.stopOfflineQueue();
+    this._networkObserver = {
+      observe: (subject, topic, data) => {
+        if (data !== "online" && data !== "up") return;
+        clearTimeout(this._offlineRetryTimer);
+        this._offlineRetryTimer = setTimeout(() => {
+          this._offlineRetryTimer = null;
+          this.retryOfflineQueue().catch((error) =>
+            this._log(`[Error] retryOfflineQueue: ${error.message}`)
+          );
+        }, 10000);
+      },
+    };
+    Services.obs.addObserver(this._networkObserver, "network:offline-status-changed");
+    Services.obs.addObserver(this._networkObserver, "network:link-status-changed");
+    await this.retryOfflineQueue();
+  },
+
+  stopOfflineQueue: function () {
+    if (this._networkObserver) {
+      Services.obs.removeObserver(this._networkObserver, "network:offline-status-changed");
+      Services.obs.removeObserver(this._networkObserver, "network:link-status-changed");
+      this._networkObserver = null;
+    }
+    if (this._offlineRetryTimer !== null) {
+      clearTimeout(this._offlineRetryTimer);
+      this._offlineRetryTimer = null;
+    }
+  },
+
+  /**
+   * Retrieve the queued items again. Items that still can't reach an API are queued again.
+   */
+  retryOfflineQueue: async function () {
+    if (this._offlineQueueRetrying) return;
+    const queue = this._loadOfflineQueue();
+    if (!queue.length) return;
+
+    this._offlineQueueRetrying = true;
+    try {
+      this.setPref("offlineQueue", "[]");
+      const apis = this.APIs.concat(this.fallbackAPI, this.allAPI);
+      for (const { api: apiKey, itemIDs } of queue) {
+        const api = apis.find((api) => api.key === apiKey);
+        if (!api || !Array.isArray(itemIDs) || !itemIDs.length) continue;
+
+        const items = (await Zotero.Items.getAsync(itemIDs)).filter(Boolean);
+        this._log(`[Info] retryOfflineQueue: Retrying ${items.length} queued items for API: ${api.name}`);
+        this.queueOfflineItems(await this.updateItems(items, api), api);
+      }
+    } finally {
+      this._offlineQueueRetrying = false;
+    }
+  },
+
+  /**
+   * Start the scheduled background refresh: check now, then every hour, whether the refresh is due.
+   * The refresh runs every "autorefreshIntervalDays" days, using the API set by the "autorefresh" preference.
+   */
+  startAutoRefresh: async function () {
+    this.stopAutoRefresh();
+    this._autoRefreshTimer = setInterval(
+      () => this._autoRefreshIfDue(),
+      60 * 60 * 1000
+    );
+    await this._autoRefreshIfDue();
+  },
+
+  /**
+   * Stop the scheduled background refresh. A running refresh stops after its current item.
+   */
+  stopAutoRefresh: function () {
+    if (this._autoRefreshTimer !== null) {
+      clearInterval(this._autoRefreshTimer);
+      this._autoRefreshTimer = null;
+    }
+  },
+
+  _autoRefreshIfDue: async function () {
+    if (this._autoRefreshRunning) return;
+
+    const pref = this.getPref("autorefresh");
+    const api = this.APIs.concat(this.fallbackAPI, this.allAPI).find(
+      (api) => api.key === pref
+    );
+    if (!api) return;
+
+    const today = new Date().toISOString().split("T")[0];
+    const lastRun = this.getPref("autorefreshLastRun");
+    const intervalDays = parseInt(this.getPref("autorefreshIntervalDays")) || 7;
+    if (lastRun && (Date.parse(today) - Date.parse(lastRun)) / 86400000 < intervalDays) return;
+
+    this._autoRefreshRunning = true;
+    try {
+      // Saved before refreshing, so that a refresh interrupted by a restart isn't started over right away.
+      this.setPref("autorefreshLastRun", today);
+      const staleDays = parseInt(this.getPref("staleDays")) || 30;
+      const items = await this._findStaleItems(api, staleDays);
+      this._log(`[Info] _autoRefreshIfDue: Refreshing ${items.length} citation counts older than ${staleDays} days with ${api.name}.`);
+      await this._refreshItemsInBackground(items, api);
+    } catch (error) {
+      this._log(`[Error] _autoRefreshIfDue: ${error.message}`);
+    } finally {
+      this._autoRefreshRunning = false;
+    }
+  },
+
+  /**
+   * Find the items of all editable libraries that have a citation count, but none from *api* retrieved within the last *staleDays* days.
+   */
+  _findStaleItems: async function (api, staleDays) {
+    const staleItems = [];
+    for (const library of Zotero.Libraries.getAll()) {
+      if (library.libraryType === "feed" || !library.editable) continue;
+
+      const items = await Zotero.Items.getAll(library.libraryID, true, false);
+      staleItems.push(
+        ...items.filter(
+          (item) =>
+            item.isRegularItem() &&
+            this.getCitationCounts(item).length > 0 &&
+            this._isStale(item, api, staleDays)
+        )
+      );
+    }
+    return staleItems;
+  },
+
+  /**
+   * Whether an items citation count from *api* is missing or older than *staleDays* days.
+   * For the "best available" and "all sources" pseudo-APIs, the latest count from any API counts.
+   */
+  _isStale: function (item, api, staleDays) {
+    const citationCounts = this.getCitationCounts(item);
+    let lastRetrieval;
+    if (this.APIs.includes(api)) {
+      const citationCount = this._findCitationCountOfAPI(citationCounts, api);
+      lastRetrieval = citationCount ? citationCount.date : null;
+    } else {
+      lastRetrieval = citationCounts
+        .map(({ date }) => date)
+        .filter((date) => date)
+        .sort()
+        .pop();
+    }
+    if (!lastRetrieval) return true;
+
+    const cutoff = new Date(Date.now() - staleDays * 86400000)
+      .toISOString()
+      .split("T")[0];
+    return lastRetrieval < cutoff;
+  },
+
+  /**
+   * Update the citation counts of *items* one at a time, waiting "autorefreshDelayMs" between items,
+   * without showing a ProgressWindow.
+   */
+  _refreshItemsInBackground: async function (items, api) {
+    const delay = parseInt(this.getPref("autorefreshDelayMs")) || 5000;
+    const progressWindow = this._createBackgroundProgressWindow();
+
+    for (const [index, item] of items.entries()) {
+      if (this._autoRefreshTimer === null) {
+        this._log(`[Info] _refreshItemsInBackground: Stopped with ${items.length - index} items left.`);
+        return;
+      }
+      if (index > 0) await new Promise((r) => setTimeout(r, delay));
+
+      await this._updateItem(
+        0,
+        [item],
+        api,
+        progressWindow,
+        [new progressWindow.ItemProgress()],
+        0,
+        true
+      );
+    }
+  },
+
+  /**
+   * Stand-in for a Zotero.ProgressWindow that is never shown, for operations running in the background.
+   */
+  _createBackgroundProgressWindow: function () {
+    const ItemProgress = function () {
+      this.setIcon = () => {};
+      this.setProgress = () => {};
+      this.setError = () => {};
+    };
+    return {
+      ItemProgress,
+      show: () => {},
+      changeHeadline: () => {},
+      startCloseTimer: () => {},
+    };
+  },
+
+  /**
+   * Retrieve an items citation count from a single API.
+   *
+   * @returns {Array} - [count, source, metrics], where *metrics* are the API's additional metrics (if any).
+   */
+  _retrieveCitationCountFromAPI: async function (item, api) {
+    // Capture the additional metrics from the same response the count is read from.
+    let metrics = {};
+    const responseCallback = api.methods.metricsCallback
+      ? (response) => {
+          metrics = api.methods.metricsCallback(response) || {};
+          return api.methods.responseCallback(response);
+        }
+      : api.methods.responseCallback;
+
+    const [count, source] = await this._retrieveCitationCount(
+      item,
+      api.name, // Pass the API name
+      api.useDoi, // Pass DOI preference
+      api.useArxiv, // Pass ArXiv preference
+      api.methods.urlBuilder,
+      responseCallback,
+      api.useTitleSearch, // Pass title search preference
+      api.usePmid // Pass PMID/PMCID preference
+    );
+    return [count, source, metrics];
+  },
+
+  /**
+   * Retrieve an items citation count from the batch request of the *api.batch.size* items of *items* it belongs to,
+   * which is sent once, by the first worker that needs it.
+   * Items without a count in the batch are retrieved on their own instead (e.g. by title search).
+   * If the API is unavailable (see *_retrieveBatch*), the batch error is thrown for each of its items.
+   *
+   * @param index - Index of *item* in *items*.
+   * @param batches - Map of the pending or finished batch requests of this operation, by index of their first item.
+   * @returns {Array} - [count, source, metrics], like *_retrieveCitationCountFromAPI*.
+   */
+  _retrieveCitationCountFromBatch: async function (item, index, items, api, batches) {
+    const batchStart = index - (index % api.batch.size);
+    if (!batches.has(batchStart)) {
+      batches.set(
+        batchStart,
+        this._retrieveBatch(items.slice(batchStart, batchStart + api.batch.size), api)
+      );
+    }
+
+    const result = (await batches.get(batchStart)).get(item);
+    return result ? [...result, {}] : this._retrieveCitationCountFromAPI(item, api);
+  },
+
+  /**
+   * Retrieve the citation counts of *items* from *api* with one batch request, looking up each item by DOI, else by arXiv id.
+   * Nothing is sent for less than two items with an id. Failures are only logged, leaving the items to be retrieved one by one,
+   * except when the API is unavailable (rate limited, server error, unreachable or missing NASA ADS API key):
+   * these are thrown, as one request per item would only make it worse.
+   *
+   * @returns {Map} - Item -> [count, source], for the items the API had a citation count for.
+   */
+  _retrieveBatch: async function (items, api) {
+    const lookups = [];
+    for (const item of items) {
+      let lookup = null;
+      if (api.useDoi) {
+        try {
+          lookup = { type: "doi", id: decodeURIComponent(this._getDoi(item)) };
+        } catch (error) {}
+      }
+      if (!lookup && api.useArxiv) {
+        try {
+          lookup = { type: "arxiv", id: decodeURIComponent(this._getArxiv(item)) };
+        } catch (error) {}
+      }
+      if (lookup) lookups.push({ item, ...lookup });
+    }
+
+    const results = new Map();
+    if (lookups.length < 2) return results;
+
+    try {
+      const counts = await api.batch.retrieve(lookups.map(({ type, id }) => ({ type, id })));
+      lookups.forEach(({ item, type }, index) => {
+        const count = parseInt(counts[index]);
+        if (Number.isInteger(count) && count >= 0) {
+          results.set(item, [count, `${api.name}/${type === "doi" ? "DOI" : "arXiv"}`]);
+        }
+      });
+      this._log(`[Info] _retrieveBatch: ${api.name} had ${results.size} of ${lookups.length} citation counts in one request.`);
+    } catch (error) {
+      if (this._isAPIUnavailableError(error)) {
+        this._log(`[Warning] _retrieveBatch: ${api.name} batch request failed with '${error.message}'. Failing its ${items.length} items.`);
+        throw error;
+      }
+      this._log(`[Warning] _retrieveBatch: ${api.name} batch request failed with '${error.message}'. Retrieving the items one by one.`);
+    }
+    return results;
+  },
+
+  /**
+   * Get the rate limit ({requestsPerSecond, burst}) of the API with *host*: its registered *rateLimit*, overridden by its entry in the "rateLimits" preference (JSON object by API key).
+   * Returns null if the host isn't rate limited, including for a requestsPerSecond of 0.
+   */
+  _getRateLimit: function (host) {
+    const api = (this.APIs || []).find((api) => api.host === host);
+    if (!api) return null;
+
+    let overrides = {};
+    try {
+      overrides = JSON.parse(this.getPref("rateLimits") || "{}") || {};
+    } catch (error) {
+      this._log(`Ignoring invalid rateLimits preference: ${error.message}`);
+    }
+
+    const rateLimit = { ...api.rateLimit, ...overrides[api.key] };
+    if (!(rateLimit.requestsPerSecond > 0)) return null;
+    return {
+      requestsPerSecond: rateLimit.requestsPerSecond,
+      burst: Math.max(1, Math.floor(rateLimit.burst) || 1),
+    };
+  },
+
+  /**
+   * Wait until a request to *url* is allowed by the rate limit of its host.
+   * Tokens are reserved in call order, so all operations (including autoretrieve and the background refresh) share a host's budget.
+   */
+  _acquireRateLimitToken: async function (url) {
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch (error) {
+      return;
+    }
+    const rateLimit = this._getRateLimit(host);
+    if (!rateLimit) return;
+
+    const now = Date.now();
+    const bucket = (this._rateLimitBuckets[host] = this._rateLimitBuckets[host] || { tokens: rateLimit.burst, updated: now });
+    bucket.tokens = Math.min(
+      rateLimit.burst,
+      bucket.tokens + ((now - bucket.updated) / 1000) * rateLimit.requestsPerSecond
+    );
+    bucket.updated = now;
+    bucket.tokens--;
+
+    if (bucket.tokens < 0) {
+      const delay = (-bucket.tokens / rateLimit.requestsPerSecond) * 1000;
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  },
+
+  /**
+   * Get the APIs of the "fallbackOrder" preference (comma separated API keys), in that order.
+   * Falls back to all APIs in their registered order if the preference doesn't name any known API.
+   */
+  _getFallbackAPIs: function () {
+    const fallbackAPIs = (this.getPref("fallbackOrder") || "")
+      .split(",")
+      .map((key) => this.APIs.find((api) => api.key === key.trim()))
+      .filter((api) => api);
+
+    return fallbackAPIs.length > 0 ? fallbackAPIs : this.APIs;
+  },
+
+  /**
+   * Try each API of the fallback order until one returns a citation count.
+   * The returned source names the API that succeeded, e.g. "NASA ADS/DOI", and the thrown error the API that failed (*error.api*).
+   */
+  _retrieveCitationCountWithFallback: async function (item) {
+    const errors = [];
+
+    for (const api of this._getFallbackAPIs()) {
+      try {
+        return await this._retrieveCitationCountFromAPI(item, api);
+      } catch (error) {
+        this._log(`[Info] _retrieveCitationCountWithFallback: ${api.name} failed for item '${item.getField('title') || item.id}' with '${error.message}'. Trying next API.`);
+        // A copy, as the same error can be shared by other lookups (see *_fetchShared*).
+        errors.push(Object.assign(new Error(error.message), { api }));
+      }
+    }
+
+    // If we couldn't reach any API, report that instead of claiming nobody has the item.
+    if (errors.every((error) => this._isUnreachableError(error))) {
+      throw errors[0];
+    }
+    throw new Error("citationcounts-progresswindow-error-no-results-fallback");
+  },
+
+  /**
+   * Whether *error* means that the API couldn't be reached (network problem or timeout), rather than it not having a citation count.
+   */
+  _isUnreachableError: function (error) {
+    return [
+      "citationcounts-progresswindow-error-network-issue",
+      "citationcounts-progresswindow-error-timeout",
+    ].includes(error.message);
+  },
+
+  /**
+   * Whether *error* means that the API can't answer any request for now (see *_isUnreachableError*), rather than just this one.
+   */
+  _isAPIUnavailableError: function (error) {
+    return (
+      this._isUnreachableError(error) ||
+      [
+        "citationcounts-progresswindow-error-api-rate-limit",
+        "citationcounts-progresswindow-error-api-server-error",
+        "citationcounts-progresswindow-error-nasaads-apikey",
+      ].includes(error.message)
+    );
+  },
+
+  /**
+   * Retrieve an items citation count from every API.
+   * Only fails if none of the APIs has a citation count for the item.
+   *
+   * @returns {Array} - One [count, source, metrics] entry per API that returned a count.
+   */
+  _retrieveCitationCountsFromAllAPIs: async function (item) {
+    const results = [];
+    const errors = [];
+
+    for (const api of this.APIs) {
+      try {
+        results.push(await this._retrieveCitationCountFromAPI(item, api));
+      } catch (error) {
+        this._log(`[Info] _retrieveCitationCountsFromAllAPIs: ${api.name} failed for item '${item.getField('title') || item.id}' with '${error.message}'.`);
+        // A copy, as the same error can be shared by other lookups (see *_fetchShared*).
+        errors.push(Object.assign(new Error(error.message), { api }));
+      }
+    }
+
+    if (results.length > 0) {
+      return results;
+    }
+    if (errors.every((error) => this._isUnreachableError(error))) {
+      throw errors[0];
+    }
+    throw new Error("citationcounts-progresswindow-error-no-results-all-apis");
+  },
+
+  /**
+   * Create the table holding the citation count history, unless it exists already.
+   * The history keeps every retrieval, while the "extra" field only keeps the latest count of each source.
+   */
+  initHistory: async function () {
+    await Zotero.DB.queryAsync(
+      "CREATE TABLE IF NOT EXISTS citationcounts_history (itemID INT NOT NULL, source TEXT NOT NULL, count INT NOT NULL, date TEXT NOT NULL, PRIMARY KEY (itemID, source, date))"
+    );
+    await this._loadRecentHistory();
+  },
+
+  /**
+   * Load the history entries needed for the "citations gained" column into *_recentHistory*.
+   */
+  _loadRecentHistory: async function () {
+    const cutoff = new Date();
+    cutoff.setFullYear(cutoff.getFullYear() - 1);
+    const cutoffDate = cutoff.toISOString().split("T")[0];
+
+    const rows = await Zotero.DB.queryAsync(
+      "SELECT itemID, source, count, date FROM citationcounts_history AS h WHERE date > ? OR date = (SELECT MAX(date) FROM citationcounts_history WHERE itemID=h.itemID AND source=h.source AND date <= ?) ORDER BY date",
+      [cutoffDate, cutoffDate]
+    );
+
+    this._recentHistory = new Map();
+    (rows || []).forEach(({ itemID, source, count, date }) => {
+      if (!this._recentHistory.has(itemID)) this._recentHistory.set(itemID, []);
+      this._recentHistory.get(itemID).push({ source, count, date });
+    });
+  },
+
+  /**
+   * Get every citation count retrieved for an item, oldest first.
+   *
+   * @returns {Array} - Objects with *date* ("YYYY-MM-DD"), *source* (e.g. "Crossref/DOI") and *count* (number).
+   */
+  getCitationCountHistory: async function (item) {
+    const rows = await Zotero.DB.queryAsync(
+      "SELECT date, source, count FROM citationcounts_history WHERE itemID=? ORDER BY date, source",
+      [item.id]
+    );
+    return (rows || []).map(({ date, source, count }) => ({ date, source, count }));
+  },
+
+  /**
+   * Delete the citation count history of deleted items.
+   */
+  deleteCitationCountHistory: async function (itemIDs) {
+    itemIDs.forEach((itemID) => this._recentHistory.delete(itemID));
+    await Zotero.DB.queryAsync(
+      `DELETE FROM citationcounts_history WHERE itemID IN (${itemIDs.map(() => "?").join(", ")})`,
+      itemIDs
+    );
+  },
+
+  /**
+   * Add a retrieval to the citation count history. A later retrieval from the same source on the same day replaces the earlier one.
+   */
+  _addCitationCountHistoryEntry: async function (item, source, count, date) {
+    await Zotero.DB.queryAsync(
+      "REPLACE INTO citationcounts_history (itemID, source, count, date) VALUES (?, ?, ?, ?)",
+      [item.id, source, count, date]
+    );
+
+    const history = (this._recentHistory.get(item.id) || []).filter(
+      (entry) => !(entry.source === source && entry.date === date)
+    );
+    history.push({ source, count, date });
+    history.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    this._recentHistory.set(item.id, history);
   },
 
   /**
    * Insert the retrieve citation count into the Items "extra" field.
    * Ref: https://www.zotero.org/support/kb/item_types_and_fields#citing_fields_from_extra
+   *
+   * @param metrics - Optional additional metrics (name -> value) from the same source, each stored on its own line below the count.
    */
-  _setCitationCount: function (item, source, count) {
+  _setCitationCount: async function (item, source, count, metrics = {}) {
     this._log(`[Info] _setCitationCount: Entered for item '${item.getField('title') || item.id}', source: '${source}', count: ${count}`);
     const initialExtra = item.getField("extra") || "";
     this._log(`[Info] _setCitationCount: Initial 'extra' field content for item '${item.getField('title') || item.id}': "${initialExtra}"`);
 
     const escapedSource = source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // Escape special regex characters
-    const pattern = new RegExp(`^Citations \\(${escapedSource}\\):|^\\d+ citations \\(${escapedSource}\\)`, 'i');
+    const metricNames = Object.keys(metrics).map((name) => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const metricPatterns = metricNames.map((name) => `|^${name}: \\S+ \\(${escapedSource}\\)`).join("");
+    const pattern = new RegExp(`^Citations \\(${escapedSource}\\):|^\\d+ citations \\(${escapedSource}\\)${metricPatterns}`, 'i');
     this._log(`[Info] _setCitationCount: Filtering pattern for item '${item.getField('title') || item.id}': ${pattern}`);
 
     const extraFieldLinesInitial = initialExtra
@@ -466,149 +1911,522 @@ ZoteroCitationCounts = {
     const lineToUnshift = `${count} citations (${source}) [${today}]`;
     this._log(`[Info] _setCitationCount: Line to unshift (new citation line) for item '${item.getField('title') || item.id}': '${lineToUnshift}'`);
     
+    const metricLines = Object.entries(metrics)
+      .filter(([_, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => `${name}: ${value} (${source}) [${today}]`);
+
     const extraFieldLines = [...extraFieldLinesInitial];
-    extraFieldLines.unshift(lineToUnshift);
+    extraFieldLines.unshift(lineToUnshift, ...metricLines);
     this._log(`[Info] _setCitationCount: 'extra' field lines after unshifting new citation for item '${item.getField('title') || item.id}': ${JSON.stringify(extraFieldLines)}`);
 
     const finalExtraString = extraFieldLines.join('\n');
     this._log(`[Info] _setCitationCount: Final 'extra' string to be set for item '${item.getField('title') || item.id}': "${finalExtraString}"`);
 
+    let saved = false;
     try {
       item.setField("extra", finalExtraString);
       this._log(`[Info] _setCitationCount: Successfully called item.setField("extra", ...) for item '${item.getField('title') || item.id}'`);
-      item.saveTx();
+      await item.saveTx();
+      saved = true;
       this._log(`[Info] _setCitationCount: Successfully called item.saveTx() for item '${item.getField('title') || item.id}'`);
     } catch (e) {
       this._log(`[Error] _setCitationCount: Error during setField or saveTx for item '${item.getField('title') || item.id}': ${e.message}${e.stack ? '\nStack: ' + e.stack : ''}`);
     }
-    this._log(`[Info] _setCitationCount: Exited for item '${item.getField('title') || item.id}'`);
-  },
 
-  /**
-   * Get the value of an items DOI field.
-   * @TODO make more robust, e.g. try to extract DOI from url/extra field as well.
-   */
-  _getDoi: function (item) {
-    const doi = item.getField("DOI");
-    if (!doi) {
-      throw new Error("citationcounts-progresswindow-error-no-doi");
+    // The history follows the counts of the items, so a count that couldn't be saved isn't recorded either.
+    if (saved) {
+      try {
+        await this._addCitationCountHistoryEntry(item, source, count, today);
+      } catch (e) {
+        this._log(`[Error] _setCitationCount: Error adding the citation count history entry for item '${item.getField('title') || item.id}': ${e.message}`);
+      }
+    }
+    this._log(`[Info] _setCitationCount: Exited for item '${item.getField('title') || item.id}'`);
+  },
+
+  /**
+   * Get the value of an items DOI field, or of a "DOI: ..." line in its extra field.
+   * Item types without a DOI field (e.g. computerProgram) store their DOI in extra.
+   * @TODO make more robust, e.g. try to extract DOI from url as well.
+   */
+  _getDoi: function (item) {
+    let doi = item.getField("DOI");
+    if (!doi) {
+      const doiMatch = /^DOI:\s*(10\.\S+)\s*$/im.exec(item.getField("extra") || "");
+      doi = doiMatch ? doiMatch[1] : null;
+    }
+    if (!doi) {
+      throw new Error("citationcounts-progresswindow-error-no-doi");
+    }
+
+    return encodeURIComponent(doi);
+  },
+
+  /**
+   * Get the value of an items arXiv field.
+   * @TODO make more robust, e.g. try to extract arxiv id from extra field as well.
+   */
+  _getArxiv: function (item) {
+    const itemURL = item.getField("url");
+    const arxivMatch =
+      /(?:arxiv.org[/]abs[/]|arXiv:)([a-z.-]+[/]\d+|\d+[.]\d+)/i.exec(itemURL);
+
+    if (!arxivMatch) {
+      throw new Error("citationcounts-progresswindow-error-no-arxiv");
+    }
+
+    return encodeURIComponent(arxivMatch[1]);
+  },
+
+  /**
+   * Get an items PubMed ID from a "PMID: 12345678" line in its extra field.
+   */
+  _getPmid: function (item) {
+    const pmidMatch = /^PMID:\s*(\d+)\s*$/im.exec(item.getField("extra") || "");
+
+    if (!pmidMatch) {
+      throw new Error("citationcounts-progresswindow-error-no-pmid");
+    }
+
+    return encodeURIComponent(pmidMatch[1]);
+  },
+
+  /**
+   * Get an items PubMed Central ID from a "PMCID: PMC1234567" line in its extra field.
+   * The "PMC" prefix is added if it's missing.
+   */
+  _getPmcid: function (item) {
+    const pmcidMatch = /^PMCID:\s*(?:PMC)?(\d+)\s*$/im.exec(item.getField("extra") || "");
+
+    if (!pmcidMatch) {
+      throw new Error("citationcounts-progresswindow-error-no-pmid");
+    }
+
+    return encodeURIComponent(`PMC${pmcidMatch[1]}`);
+  },
+
+  /**
+   * Get the publication year of an item ("YYYY"), from its "year" field or the start of its "date" field.
+   *
+   * @returns {string|null} - null if there is no valid year.
+   */
+  _getItemYear: function (item) {
+    // Extract Year with validation
+    let year = item.getField("year");
+    if (year) {
+      const yearStr = String(year);
+      if (/^\d{4}$/.test(yearStr)) {
+        return yearStr;
+      }
+    } else {
+      const date = item.getField("date");
+      if (date) {
+        const yearMatch = String(date).match(/^(?:c\. )?(\d{4})/); // Matches "YYYY" at the start, handles "c. YYYY"
+        if (yearMatch && yearMatch[1]) {
+          return yearMatch[1];
+        }
+      }
+    }
+    return null;
+  },
+
+  _getItemMetadataForAdsQuery: function (item) {
+    const metadata = {
+      title: null,
+      author: null,
+      year: null,
+    };
+
+    // Extract Title with validation
+    const title = item.getField("title");
+    if (title && typeof title === 'string') {
+      // Trim whitespace and limit length to prevent API issues
+      let sanitizedTitle = title.trim();
+      if (sanitizedTitle.length > 1000) {
+        sanitizedTitle = sanitizedTitle.substring(0, 1000) + '...';
+      }
+      metadata.title = sanitizedTitle;
+    }
+
+    metadata.year = this._getItemYear(item);
+
+    // Extract Author's Last Name with validation
+    const creators = item.getCreators();
+    if (creators && creators.length > 0) {
+      const firstCreator = creators[0];
+      let authorName = null;
+      if (firstCreator.lastName && typeof firstCreator.lastName === 'string') {
+        authorName = firstCreator.lastName.trim();
+      } else if (firstCreator.name && typeof firstCreator.name === 'string') {
+        authorName = firstCreator.name.trim(); // Fallback to 'name' if 'lastName' is not available
+      }
+      
+      if (authorName && authorName.length > 0) {
+        // Limit author name length and sanitize
+        if (authorName.length > 100) {
+          authorName = authorName.substring(0, 100);
+        }
+        metadata.author = authorName;
+      }
+    }
+
+    return metadata;
+  },
+
+  /**
+   * Sanitize URLs for logging by removing sensitive information like API keys.
+   */
+  _sanitizeUrlForLogging: function (url) {
+    try {
+      const urlObj = new URL(url);
+      // Remove common sensitive parameters
+      urlObj.searchParams.delete('api_key');
+      urlObj.searchParams.delete('apikey');
+      urlObj.searchParams.delete('key');
+      urlObj.searchParams.delete('token');
+      return urlObj.toString();
+    } catch (error) {
+      // Fallback: simple regex replacement for malformed URLs
+      return url.replace(/[?&](api_key|apikey|key|token)=[^&]*/gi, '');
+    }
+  },
+
+  /**
+   * Get the delay in ms before retrying a request after its *attempt*-th failure: the Retry-After header of the *response* if it has one, else an exponential backoff from "retryBaseDelayMs" with random jitter.
+   * Returns null if Retry-After asks to wait longer than a minute, as retrying wouldn't be worth holding up the operation.
+   */
+  _getRetryDelay: function (attempt, response) {
+    const retryAfter = response && response.headers && typeof response.headers.get === "function"
+      ? response.headers.get("Retry-After")
+      : null;
+    if (retryAfter) {
+      // Either a number of seconds or an HTTP date.
+      const delay = /^\d+$/.test(retryAfter.trim())
+        ? parseInt(retryAfter) * 1000
+        : Date.parse(retryAfter) - Date.now();
+      if (!Number.isNaN(delay)) {
+        return delay > 60000 ? null : Math.max(0, delay);
+      }
+    }
+
+    const baseDelay = parseInt(this.getPref("retryBaseDelayMs"));
+    const backoff = (Number.isInteger(baseDelay) && baseDelay >= 0 ? baseDelay : 1000) * 2 ** (attempt - 1);
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  },
+
+  /**
+   * Send a request to a specified url, handle response with specified callback, and return a validated integer.
+   * Lookups with the same *lookupKey* share one request, see *_fetchShared*.
+   */
+  _sendRequest: async function (url, callback, lookupKey = url) {
+    const body = await this._fetchShared(url, lookupKey);
+
+    try {
+      const jsonData = await body.json;
+      const count = parseInt(await callback(jsonData)); // callback might be async
+      if (!(Number.isInteger(count) && count >= 0)) {
+        this._log(`Invalid count received from callback for ${this._sanitizeUrlForLogging(url)}. Count: ${count}. Throwing 'citationcounts-progresswindow-error-no-citation-count'.`);
+        throw new Error("Invalid count"); // This will be caught and converted below
+      }
+      return count;
+    } catch (error) { // Catches errors from response.json(), callback, parseInt, or the explicit "Invalid count" throw
+      this._log(`Error processing API response or invalid count for ${this._sanitizeUrlForLogging(url)}: ${error.message}.`);
+      // If it's already a specific error we want to propagate (like NASA API key), rethrow it.
+      // This check is important if the callback itself could throw a pre-formatted error.
+      const specificErrorMessages = [
+        "citationcounts-progresswindow-error-nasaads-apikey",
+        "citationcounts-progresswindow-error-api-bad-request",
+        "citationcounts-progresswindow-error-api-not-found",
+        "citationcounts-progresswindow-error-api-rate-limit",
+        "citationcounts-progresswindow-error-api-server-error",
+        "citationcounts-progresswindow-error-network-issue", // Should have been caught earlier, but good for safety
+        "citationcounts-progresswindow-error-timeout", // Likewise
+        "citationcounts-progresswindow-error-bad-api-response" // If callback explicitly throws this
+      ];
+      if (specificErrorMessages.includes(error.message)) {
+        this._log(`Re-throwing specific error: ${error.message}`);
+        throw error;
+      }
+      // Otherwise, assume it's an issue with parsing, callback logic, or invalid count, leading to "no citation count".
+      this._log(`Defaulting to 'citationcounts-progresswindow-error-no-citation-count' for error: ${error.message}`);
+      throw new Error("citationcounts-progresswindow-error-no-citation-count");
+    }
+  },
+
+  /**
+   * Key of an API lookup of an identifier, e.g. "Semantic Scholar/arxiv:2101.00001". DOIs are case-insensitive, so the key is lowercased.
+   */
+  _lookupKey: function (apiName, type, id) {
+    return `${apiName}/${type}:${String(id).toLowerCase()}`;
+  },
+
+  /**
+   * Fetch *url* once for all running lookups with the same *key*, and reuse its response body for *_lookupCacheTtlMs*.
+   * This way, overlapping operations (e.g. autoretrieve and a manual retrieval) and items sharing a DOI only send one request.
+   * Failed requests are shared by the running lookups, but not cached.
+   *
+   * @returns {Promise<Object>} - {json}, where *json* is the promise of the parsed response body.
+   */
+  _fetchShared: function (url, key) {
+    const cached = this._lookupCache.get(key);
+    if (cached && cached.expires > Date.now()) {
+      this._log(`Reusing the response of a recent lookup for ${key}.`);
+      return Promise.resolve(cached.body);
+    }
+    if (this._pendingLookups.has(key)) {
+      this._log(`Waiting for the running lookup for ${key}.`);
+      return this._pendingLookups.get(key);
+    }
+
+    const request = this._fetchCached(url);
+    this._pendingLookups.set(key, request);
+    request
+      .then(async (body) => {
+        await body.json;
+        this._cacheLookup(key, body);
+      })
+      .catch(() => {}) // The lookups handle the error.
+      .then(() => this._pendingLookups.delete(key));
+    return request;
+  },
+
+  _cacheLookup: function (key, body) {
+    const now = Date.now();
+    for (const [cachedKey, entry] of this._lookupCache) {
+      if (entry.expires <= now) this._lookupCache.delete(cachedKey);
+    }
+    this._lookupCache.set(key, { body, expires: now + this._lookupCacheTtlMs });
+  },
+
+  /**
+   * Fetch *url* (with the fetch *options*), unless the response cache has a response of it younger than the cache TTL of its API.
+   * Older cached responses of GET requests are revalidated with "If-None-Match" / "If-Modified-Since", so an unchanged resource only costs a 304.
+   * POST requests (Semantic Scholar's batch endpoint) are cached by their body too, but fetched again once expired, as they can't be revalidated.
+   *
+   * @returns {Promise<Object>} - {json}, where *json* is the promise of the parsed response body.
+   */
+  _fetchCached: async function (url, options = {}) {
+    const key = options.body ? `${url} ${options.body}` : url;
+    const ttl = this._getCacheTtlMs(url);
+    const entry = ttl ? await this._readCacheEntry(key) : null;
+    if (entry && Date.now() - entry.stored < ttl) {
+      this._log(`Using the cached response for ${this._sanitizeUrlForLogging(url)}.`);
+      return { json: Promise.resolve(entry.body) };
+    }
+
+    const headers = { ...options.headers };
+    if (entry && !options.body) {
+      if (entry.etag) headers["If-None-Match"] = entry.etag;
+      if (entry.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+    }
+    const response = await this._fetchResponse(url, { ...options, headers });
+
+    if (entry && response.status === 304) {
+      this._log(`Cached response for ${this._sanitizeUrlForLogging(url)} is unchanged.`);
+      this._writeCacheEntry(key, { ...entry, stored: Date.now() });
+      return { json: Promise.resolve(entry.body) };
     }
 
-    return encodeURIComponent(doi);
+    const json = Promise.resolve().then(() => response.json());
+    if (ttl) {
+      const getHeader = (name) =>
+        response.headers && typeof response.headers.get === "function" ? response.headers.get(name) : null;
+      json
+        .then((body) =>
+          this._writeCacheEntry(key, {
+            key,
+            stored: Date.now(),
+            etag: getHeader("ETag"),
+            lastModified: getHeader("Last-Modified"),
+            body,
+          })
+        )
+        .catch(() => {}); // Invalid responses aren't cached.
+    }
+    return { json };
   },
 
   /**
-   * Get the value of an items arXiv field.
-   * @TODO make more robust, e.g. try to extract arxiv id from extra field as well.
+   * Get how long responses from the API of *url* are kept in the response cache, or 0 if they aren't cached.
    */
-  _getArxiv: function (item) {
-    const itemURL = item.getField("url");
-    const arxivMatch =
-      /(?:arxiv.org[/]abs[/]|arXiv:)([a-z.-]+[/]\d+|\d+[.]\d+)/i.exec(itemURL);
+  _getCacheTtlMs: function (url) {
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch (error) {
+      return 0;
+    }
+    const api = (this.APIs || []).find((api) => api.host === host);
+    if (!api) return 0;
 
-    if (!arxivMatch) {
-      throw new Error("citationcounts-progresswindow-error-no-arxiv");
+    let overrides = {};
+    try {
+      overrides = JSON.parse(this.getPref("cacheTtls") || "{}") || {};
+    } catch (error) {
+      this._log(`Ignoring invalid cacheTtls preference: ${error.message}`);
     }
 
-    return encodeURIComponent(arxivMatch[1]);
+    const hours = api.key in overrides ? parseFloat(overrides[api.key]) : api.cacheTtlHours;
+    return hours > 0 ? hours * 60 * 60 * 1000 : 0;
   },
 
-  _getItemMetadataForAdsQuery: function (item) {
-    const metadata = {
-      title: null,
-      author: null,
-      year: null,
-    };
+  /**
+   * The response cache is a directory in the Zotero data directory, holding one JSON file per request URL.
+   */
+  _getCacheDir: function () {
+    return PathUtils.join(Zotero.DataDirectory.dir, "citationcounts-cache");
+  },
 
-    // Extract Title with validation
-    const title = item.getField("title");
-    if (title && typeof title === 'string') {
-      // Trim whitespace and limit length to prevent API issues
-      let sanitizedTitle = title.trim();
-      if (sanitizedTitle.length > 1000) {
-        sanitizedTitle = sanitizedTitle.substring(0, 1000) + '...';
-      }
-      metadata.title = sanitizedTitle;
+  /**
+   * Delete the response cache and forget the recent lookups, so that the next retrievals ask the APIs again.
+   * Used by the "Clear citation cache" button of the preferences.
+   *
+   * @returns {Promise<boolean>} - Whether the cache could be deleted.
+   */
+  clearResponseCache: async function () {
+    this._lookupCache.clear();
+    try {
+      await IOUtils.remove(this._getCacheDir(), { recursive: true, ignoreAbsent: true });
+      return true;
+    } catch (error) {
+      this._log(`[Error] clearResponseCache: Couldn't delete the response cache: ${error.message}`);
+      return false;
     }
+  },
 
-    // Extract Year with validation
-    let year = item.getField("year");
-    if (year) {
-      const yearStr = String(year);
-      if (/^\d{4}$/.test(yearStr)) {
-        metadata.year = yearStr;
-      }
-    } else {
-      const date = item.getField("date");
-      if (date) {
-        const yearMatch = String(date).match(/^(?:c\. )?(\d{4})/); // Matches "YYYY" at the start, handles "c. YYYY"
-        if (yearMatch && yearMatch[1]) {
-          metadata.year = yearMatch[1];
-        }
-      }
-    }
+  /**
+   * @param key - The request URL, followed by the body for POST requests, see *_fetchCached*.
+   */
+  _getCacheFile: function (key) {
+    return PathUtils.join(this._getCacheDir(), `${Zotero.Utilities.Internal.md5(key, false)}.json`);
+  },
 
-    // Extract Author's Last Name with validation
-    const creators = item.getCreators();
-    if (creators && creators.length > 0) {
-      const firstCreator = creators[0];
-      let authorName = null;
-      if (firstCreator.lastName && typeof firstCreator.lastName === 'string') {
-        authorName = firstCreator.lastName.trim();
-      } else if (firstCreator.name && typeof firstCreator.name === 'string') {
-        authorName = firstCreator.name.trim(); // Fallback to 'name' if 'lastName' is not available
-      }
-      
-      if (authorName && authorName.length > 0) {
-        // Limit author name length and sanitize
-        if (authorName.length > 100) {
-          authorName = authorName.substring(0, 100);
-        }
-        metadata.author = authorName;
-      }
+  /**
+   * Read the cached response of *key*.
+   *
+   * @returns {Object} - {key, stored (timestamp), etag, lastModified, body}, or null if it isn't cached.
+   */
+  _readCacheEntry: async function (key) {
+    try {
+      const file = this._getCacheFile(key);
+      if (!(await IOUtils.exists(file))) return null;
+      const entry = await IOUtils.readJSON(file);
+      return entry && entry.key === key ? entry : null;
+    } catch (error) {
+      this._log(`[Warning] _readCacheEntry: Couldn't read the cached response for ${this._sanitizeUrlForLogging(key)}: ${error.message}`);
+      return null;
     }
-
-    return metadata;
   },
 
   /**
-   * Sanitize URLs for logging by removing sensitive information like API keys.
+   * Write the cached response of *key*. Failures are only logged, a missing cache entry just costs a request.
    */
-  _sanitizeUrlForLogging: function (url) {
+  _writeCacheEntry: async function (key, entry) {
     try {
-      const urlObj = new URL(url);
-      // Remove common sensitive parameters
-      urlObj.searchParams.delete('api_key');
-      urlObj.searchParams.delete('apikey');
-      urlObj.searchParams.delete('key');
-      urlObj.searchParams.delete('token');
-      return urlObj.toString();
+      await IOUtils.makeDirectory(this._getCacheDir(), { ignoreExisting: true });
+      await IOUtils.writeJSON(this._getCacheFile(key), entry);
     } catch (error) {
-      // Fallback: simple regex replacement for malformed URLs
-      return url.replace(/[?&](api_key|apikey|key|token)=[^&]*/gi, '');
+      this._log(`[Warning] _writeCacheEntry: Couldn't cache the response for ${this._sanitizeUrlForLogging(key)}: ${error.message}`);
     }
   },
 
   /**
-   * Send a request to a specified url, handle response with specified callback, and return a validated integer.
+   * Delete the cached responses that outlived their TTL (or whose API isn't cached anymore), so the cache doesn't grow
+   * forever with items that are never looked up again. Called at startup.
+   * Expired responses with an ETag or Last-Modified date are kept for *_cacheRevalidationTtls* TTLs, so that they can
+   * still be revalidated with a conditional request.
+   *
+   * @returns {Promise<number>} - The number of deleted entries.
+   */
+  pruneResponseCache: async function () {
+    const dir = this._getCacheDir();
+    if (!(await IOUtils.exists(dir))) return 0;
+
+    let pruned = 0;
+    for (const file of await IOUtils.getChildren(dir)) {
+      try {
+        let entry = null;
+        try {
+          entry = await IOUtils.readJSON(file);
+        } catch (error) {
+          // An unreadable entry is useless too.
+        }
+        const ttl = entry && entry.key ? this._getCacheTtlMs(entry.key) : 0;
+        const revalidatable = ttl && (entry.etag || entry.lastModified);
+        const keepMs = revalidatable ? ttl * this._cacheRevalidationTtls : ttl;
+        if (ttl && Date.now() - entry.stored < keepMs) continue;
+        await IOUtils.remove(file, { ignoreAbsent: true });
+        pruned++;
+      } catch (error) {
+        this._log(`[Warning] pruneResponseCache: Couldn't delete ${file}: ${error.message}`);
+      }
+    }
+    return pruned;
+  },
+
+  /**
+   * Fetch *url* (with the fetch *options*, a GET request by default) within the rate limit of its host, retrying transient failures.
+   * Returns the ok response, and throws the matching error key for any failure.
+   * The JSON body of an ok response is read within the timeout too, *json()* of the returned response only hands it out.
    */
-  _sendRequest: async function (url, callback) {
+  _fetchResponse: async function (url, options = {}) {
     let response;
+    let body = null;
     // Add Authorization header for NASA ADS
-    const headers = {};
+    const headers = { ...options.headers };
     if (url.includes("api.adsabs.harvard.edu")) {
       const apiKey = this.getPref("nasaadsApiKey");
       headers["Authorization"] = `Bearer ${apiKey}`;
     }
-    try {
-      response = await fetch(url, { headers });
-    } catch (networkError) {
+    // Retry network errors and timeouts, rate limiting (429) and server errors (5xx), which are often transient.
+    const maxAttempts = Math.max(1, parseInt(this.getPref("retryMaxAttempts")) || 3);
+    const timeout = parseInt(this.getPref("apiTimeoutMs")) || 30000;
+    let networkError = null;
+    let timedOut = false;
+    for (let attempt = 1; ; attempt++) {
+      await this._acquireRateLimitToken(url);
+      networkError = null;
+      // Abort the request if the API doesn't respond in time, so a hung connection can't stall the operation.
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      body = null;
+      try {
+        try {
+          response = await fetch(url, { ...options, headers, signal: controller.signal });
+        } catch (error) {
+          networkError = error;
+        }
+        // A response whose body never finishes would stall the operation just as well.
+        if (!networkError && response.ok) {
+          body = await this._readJSON(response, controller.signal);
+          if (body.error && controller.signal.aborted) networkError = body.error;
+        }
+      } finally {
+        clearTimeout(timer);
+      }
+      timedOut = controller.signal.aborted;
+
+      const retryable = networkError || response.status === 429 || (response.status >= 500 && response.status < 600);
+      if (!retryable || attempt >= maxAttempts) break;
+      const delay = this._getRetryDelay(attempt, networkError ? null : response);
+      if (delay === null) break;
+      this._log(`Request to ${this._sanitizeUrlForLogging(url)} failed (${networkError ? networkError.message : `status ${response.status}`}). Retrying in ${delay} ms (attempt ${attempt + 1} of ${maxAttempts}).`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+
+    if (networkError && timedOut) {
+      this._log(`Request to ${this._sanitizeUrlForLogging(url)} timed out after ${timeout} ms. Throwing 'citationcounts-progresswindow-error-timeout'.`);
+      throw new Error("citationcounts-progresswindow-error-timeout");
+    }
+    if (networkError) {
       // Catch network errors (e.g., DNS resolution failure, server unreachable)
       this._log(`Network error fetching ${this._sanitizeUrlForLogging(url)}: ${networkError.message}. Throwing 'citationcounts-progresswindow-error-network-issue'.`);
       throw new Error("citationcounts-progresswindow-error-network-issue");
     }
 
-    if (!response.ok) {
+    // A 304 only answers a conditional request of *_fetchCached*, which uses its cached response.
+    const notModified = response.status === 304 && ("If-None-Match" in headers || "If-Modified-Since" in headers);
+    if (!response.ok && !notModified) {
       const status = response.status;
       this._log(`Received non-ok HTTP status ${status} for ${this._sanitizeUrlForLogging(url)}.`);
 
@@ -639,35 +2457,33 @@ ZoteroCitationCounts = {
       }
     }
 
-    try {
-      const jsonData = await response.json();
-      const count = parseInt(await callback(jsonData)); // callback might be async
-      if (!(Number.isInteger(count) && count >= 0)) {
-        this._log(`Invalid count received from callback for ${this._sanitizeUrlForLogging(url)}. Count: ${count}. Throwing 'citationcounts-progresswindow-error-no-citation-count'.`);
-        throw new Error("Invalid count"); // This will be caught and converted below
-      }
-      return count;
-    } catch (error) { // Catches errors from response.json(), callback, parseInt, or the explicit "Invalid count" throw
-      this._log(`Error processing API response or invalid count for ${this._sanitizeUrlForLogging(url)}: ${error.message}.`);
-      // If it's already a specific error we want to propagate (like NASA API key), rethrow it.
-      // This check is important if the callback itself could throw a pre-formatted error.
-      const specificErrorMessages = [
-        "citationcounts-progresswindow-error-nasaads-apikey",
-        "citationcounts-progresswindow-error-api-bad-request",
-        "citationcounts-progresswindow-error-api-not-found",
-        "citationcounts-progresswindow-error-api-rate-limit",
-        "citationcounts-progresswindow-error-api-server-error",
-        "citationcounts-progresswindow-error-network-issue", // Should have been caught earlier, but good for safety
-        "citationcounts-progresswindow-error-bad-api-response" // If callback explicitly throws this
-      ];
-      if (specificErrorMessages.includes(error.message)) {
-        this._log(`Re-throwing specific error: ${error.message}`);
-        throw error;
-      }
-      // Otherwise, assume it's an issue with parsing, callback logic, or invalid count, leading to "no citation count".
-      this._log(`Defaulting to 'citationcounts-progresswindow-error-no-citation-count' for error: ${error.message}`);
-      throw new Error("citationcounts-progresswindow-error-no-citation-count");
+    if (body) {
+      const { value, error } = body;
+      return {
+        ok: response.ok,
+        status: response.status,
+        headers: response.headers,
+        json: () => (error ? Promise.reject(error) : Promise.resolve(value)),
+      };
     }
+    return response;
+  },
+
+  /**
+   * Read the JSON body of *response*, unless *signal* aborts first.
+   *
+   * @returns {Promise<Object>} - {value} (the parsed body) or {error}. Never rejects.
+   */
+  _readJSON: function (response, signal) {
+    const aborted = new Promise((_, reject) => {
+      const abort = () => reject(new Error("citationcounts-progresswindow-error-timeout"));
+      if (signal.aborted) abort();
+      signal.addEventListener("abort", abort, { once: true });
+    });
+    return Promise.race([Promise.resolve().then(() => response.json()), aborted]).then(
+      (value) => ({ value }),
+      (error) => ({ error })
+    );
   },
 
   _retrieveCitationCount: async function (
@@ -677,11 +2493,13 @@ ZoteroCitationCounts = {
     useArxiv,
     urlFunction,
     requestCallback,
-    useTitleSearch // New parameter based on API config
+    useTitleSearch, // New parameter based on API config
+    usePmid
   ) {
-    this._log(`[Debug] _retrieveCitationCount: Item '${item.getField('title') || item.id}' for API '${apiName}'. useDoi: ${useDoi}, useArxiv: ${useArxiv}, useTitleSearch: ${useTitleSearch}`);
+    this._log(`[Debug] _retrieveCitationCount: Item '${item.getField('title') || item.id}' for API '${apiName}'. useDoi: ${useDoi}, useArxiv: ${useArxiv}, usePmid: ${usePmid}, useTitleSearch: ${useTitleSearch}`);
     let doiError = null;
     let arxivError = null;
+    let pmidError = null;
     let titleError = null;
 
     // DOI Attempt
@@ -692,7 +2510,8 @@ ZoteroCitationCounts = {
         this._log(`[Debug] DOI field obtained: '${doiField}'`);
         const count = await this._sendRequest(
           urlFunction(doiField, "doi"),
-          requestCallback
+          requestCallback,
+          this._lookupKey(apiName, "doi", doiField)
         );
         this._log(`Successfully fetched citation count via ${apiName}/DOI for item '${item.getField('title') || item.id}'. Count: ${count}`);
         return [count, `${apiName}/DOI`];
@@ -713,7 +2532,8 @@ ZoteroCitationCounts = {
         this._log(`[Debug] ArXiv field obtained: '${arxivField}'`);
         const count = await this._sendRequest(
           urlFunction(arxivField, "arxiv"),
-          requestCallback
+          requestCallback,
+          this._lookupKey(apiName, "arxiv", arxivField)
         );
         this._log(`Successfully fetched citation count via ${apiName}/arXiv for item '${item.getField('title') || item.id}'. Count: ${count}`);
         return [count, `${apiName}/arXiv`];
@@ -726,6 +2546,35 @@ ZoteroCitationCounts = {
       }
     }
 
+    // PMID Attempt (falls back to the PMCID if the item has no PMID)
+    if (usePmid) {
+      this._log("[Debug] Attempting PMID lookup.");
+      try {
+        let pmidType = "pmid";
+        let pmidField;
+        try {
+          pmidField = this._getPmid(item);
+        } catch (noPmidError) {
+          pmidType = "pmcid";
+          pmidField = this._getPmcid(item);
+        }
+        this._log(`[Debug] ${pmidType.toUpperCase()} field obtained: '${pmidField}'`);
+        const count = await this._sendRequest(
+          urlFunction(pmidField, pmidType),
+          requestCallback,
+          this._lookupKey(apiName, pmidType, pmidField)
+        );
+        this._log(`Successfully fetched citation count via ${apiName}/${pmidType.toUpperCase()} for item '${item.getField('title') || item.id}'. Count: ${count}`);
+        return [count, `${apiName}/${pmidType.toUpperCase()}`];
+      } catch (error) {
+        this._log(`[Debug] PMID lookup error: ${error.message}`);
+        if (error.message === 'citationcounts-progresswindow-error-no-citation-count') {
+          this._log(`No citation count found via ${apiName}/PMID for item '${item.getField('title') || item.id}'.`);
+        }
+        pmidError = error;
+      }
+    }
+
     // Generic Title Search Attempt (e.g., for NASA ADS, Semantic Scholar if enabled)
     if (useTitleSearch) {
       this._log("[Debug] Attempting Title search.");
@@ -765,10 +2614,11 @@ ZoteroCitationCounts = {
     }
 
     // Final Error Handling
-    this._log(`[Debug] Final Error Handling for item '${item.getField('title') || item.id}', API '${apiName}'. DOI error: ${doiError ? doiError.message : 'null'}, ArXiv error: ${arxivError ? arxivError.message : 'null'}, Title error: ${titleError ? titleError.message : 'null'}`);
+    this._log(`[Debug] Final Error Handling for item '${item.getField('title') || item.id}', API '${apiName}'. DOI error: ${doiError ? doiError.message : 'null'}, ArXiv error: ${arxivError ? arxivError.message : 'null'}, PMID error: ${pmidError ? pmidError.message : 'null'}, Title error: ${titleError ? titleError.message : 'null'}`);
 
     const highPriorityErrors = [
       "citationcounts-progresswindow-error-network-issue",
+      "citationcounts-progresswindow-error-timeout",
       "citationcounts-progresswindow-error-api-server-error",
       "citationcounts-progresswindow-error-nasaads-apikey", // Specific to NASA ADS, very high
       "citationcounts-progresswindow-error-api-rate-limit",
@@ -784,6 +2634,9 @@ ZoteroCitationCounts = {
     if (arxivError && highPriorityErrors.includes(arxivError.message)) {
       encounteredHighPriority.push(arxivError);
     }
+    if (pmidError && highPriorityErrors.includes(pmidError.message)) {
+      encounteredHighPriority.push(pmidError);
+    }
     if (titleError && highPriorityErrors.includes(titleError.message)) {
       encounteredHighPriority.push(titleError);
     }
@@ -801,6 +2654,7 @@ ZoteroCitationCounts = {
 
     const doiAttempted = useDoi;
     const arxivAttempted = useArxiv;
+    const pmidAttempted = Boolean(usePmid);
     const titleSearchAttempted = useTitleSearch;
 
     // Helper to check if an error is a "not found on item" or "no citations" type for a specific method
@@ -811,6 +2665,7 @@ ZoteroCitationCounts = {
     
     const doiLookupFailed = isLookupFailure(doiError, "citationcounts-progresswindow-error-no-doi");
     const arxivLookupFailed = isLookupFailure(arxivError, "citationcounts-progresswindow-error-no-arxiv");
+    const pmidLookupFailed = isLookupFailure(pmidError, "citationcounts-progresswindow-error-no-pmid");
     const titleLookupFailed = titleError && (
         titleError.message === "citationcounts-progresswindow-error-insufficient-metadata-for-title-search" ||
         titleError.message === "citationcounts-progresswindow-error-no-citation-count"
@@ -820,9 +2675,10 @@ ZoteroCitationCounts = {
     let allAttemptedMethodsFailedLookup = true;
     if (doiAttempted && !doiLookupFailed) allAttemptedMethodsFailedLookup = false;
     if (arxivAttempted && !arxivLookupFailed) allAttemptedMethodsFailedLookup = false;
+    if (pmidAttempted && !pmidLookupFailed) allAttemptedMethodsFailedLookup = false;
     if (titleSearchAttempted && !titleLookupFailed) allAttemptedMethodsFailedLookup = false;
 
-    if (allAttemptedMethodsFailedLookup && (doiAttempted || arxivAttempted || titleSearchAttempted)) {
+    if (allAttemptedMethodsFailedLookup && (doiAttempted || arxivAttempted || pmidAttempted || titleSearchAttempted)) {
       this._log(`[Debug] All attempted methods for ${apiName} resulted in lookup failures.`);
       // Special handling for NASA ADS "no results"
       if (apiName === "NASA ADS" && (doiAttempted || arxivAttempted || titleSearchAttempted) ) {
@@ -853,7 +2709,7 @@ ZoteroCitationCounts = {
 
     // If title search was the only method or primary remaining method and failed due to insufficient metadata
     if (titleSearchAttempted && titleError && titleError.message === "citationcounts-progresswindow-error-insufficient-metadata-for-title-search") {
-        if ((!doiAttempted || doiLookupFailed) && (!arxivAttempted || arxivLookupFailed)) {
+        if ((!doiAttempted || doiLookupFailed) && (!arxivAttempted || arxivLookupFailed) && (!pmidAttempted || pmidLookupFailed)) {
             this._log(`[Debug] ${apiName}: Title search failed due to insufficient metadata; other methods also failed lookup or not attempted. Throwing '${titleError.message}'.`);
             throw titleError;
         }
@@ -861,7 +2717,7 @@ ZoteroCitationCounts = {
     
     // If title search yielded "no citation count" and other methods also failed lookup or were not applicable.
     if (titleSearchAttempted && titleError && titleError.message === "citationcounts-progresswindow-error-no-citation-count") {
-        if ((!doiAttempted || doiLookupFailed) && (!arxivAttempted || arxivLookupFailed)) {
+        if ((!doiAttempted || doiLookupFailed) && (!arxivAttempted || arxivLookupFailed) && (!pmidAttempted || pmidLookupFailed)) {
              this._log(`[Debug] ${apiName}: No citation count from title search; other methods also failed lookup or not attempted. Throwing '${titleError.message}'.`);
             throw titleError; // This is "no-citation-count" from title search
         }
@@ -869,17 +2725,23 @@ ZoteroCitationCounts = {
 
     // Fallback to DOI/ArXiv specific "no id" errors if they were the reason and title search wasn't conclusive or attempted
     if (doiAttempted && doiError && doiError.message === "citationcounts-progresswindow-error-no-doi") {
-        if ((!arxivAttempted || arxivLookupFailed) && (!titleSearchAttempted || titleLookupFailed)) {
+        if ((!arxivAttempted || arxivLookupFailed) && (!pmidAttempted || pmidLookupFailed) && (!titleSearchAttempted || titleLookupFailed)) {
             this._log(`[Debug] ${apiName}: DOI not found on item. Throwing '${doiError.message}'.`);
             throw doiError;
         }
     }
     if (arxivAttempted && arxivError && arxivError.message === "citationcounts-progresswindow-error-no-arxiv") {
-         if ((!doiAttempted || doiLookupFailed) && (!titleSearchAttempted || titleLookupFailed)) {
+         if ((!doiAttempted || doiLookupFailed) && (!pmidAttempted || pmidLookupFailed) && (!titleSearchAttempted || titleLookupFailed)) {
             this._log(`[Debug] ${apiName}: ArXiv ID not found on item. Throwing '${arxivError.message}'.`);
             throw arxivError;
         }
     }
+    if (pmidAttempted && pmidError && pmidError.message === "citationcounts-progresswindow-error-no-pmid") {
+        if ((!doiAttempted || doiLookupFailed) && (!arxivAttempted || arxivLookupFailed) && (!titleSearchAttempted || titleLookupFailed)) {
+            this._log(`[Debug] ${apiName}: PMID / PMCID not found on item. Throwing '${pmidError.message}'.`);
+            throw pmidError;
+        }
+    }
     
     // If both DOI and ArXiv were attempted and failed with "no id" or "no citations"
     // and title search was either not attempted or also failed lookup.
@@ -907,6 +2769,10 @@ ZoteroCitationCounts = {
         this._log(`[Debug] ${apiName}: ArXiv lookup resulted in 'no-citation-count'. Throwing this as final error.`);
         throw arxivError;
     }
+    if (pmidError && pmidError.message === "citationcounts-progresswindow-error-no-citation-count") {
+        this._log(`[Debug] ${apiName}: PMID lookup resulted in 'no-citation-count'. Throwing this as final error.`);
+        throw pmidError;
+    }
     if (titleError && titleError.message === "citationcounts-progresswindow-error-no-citation-count") {
         this._log(`[Debug] ${apiName}: Title lookup resulted in 'no-citation-count'. Throwing this as final error.`);
         throw titleError;
@@ -917,6 +2783,7 @@ ZoteroCitationCounts = {
     let attemptedMethods = [];
     if (useDoi) attemptedMethods.push("DOI");
     if (useArxiv) attemptedMethods.push("ArXiv");
+    if (usePmid) attemptedMethods.push("PMID");
     if (useTitleSearch) attemptedMethods.push("Title");
 
     if (attemptedMethods.length === 0) {
@@ -931,7 +2798,7 @@ ZoteroCitationCounts = {
     // for throwing 'no-doi' specifically weren't met because other methods were configured but didn't run or didn't error.
     // This acts as a final fallback.
     const unknownError = new Error("citationcounts-progresswindow-error-unknown");
-    this._log(`[Debug] Unhandled error state for ${apiName} for item '${item.getField('title') || item.id}'. Attempted: ${attemptedMethods.join(', ')}. Errors: DOI(${doiError ? doiError.message : 'null'}), ArXiv(${arxivError ? arxivError.message : 'null'}), Title(${titleError ? titleError.message : 'null'}). Throwing '${unknownError.message}'.`);
+    this._log(`[Debug] Unhandled error state for ${apiName} for item '${item.getField('title') || item.id}'. Attempted: ${attemptedMethods.join(', ')}. Errors: DOI(${doiError ? doiError.message : 'null'}), ArXiv(${arxivError ? arxivError.message : 'null'}), PMID(${pmidError ? pmidError.message : 'null'}), Title(${titleError ? titleError.message : 'null'}). Throwing '${unknownError.message}'.`);
     throw unknownError;
   },
 
@@ -982,17 +2849,26 @@ ZoteroCitationCounts = {
     }
   },
 
-  // The callback can be async if we want.
-  _semanticScholarCallback: async function (response) {
-    let count;
+  /**
+   * Look up to 500 papers with one request to Semantic Scholar's batch endpoint, which answers in the order of the ids (null for unknown ones).
+   */
+  _semanticScholarBatch: async function (lookups) {
+    const { json } = await this._fetchCached(
+      "https://api.semanticscholar.org/graph/v1/paper/batch?fields=citationCount",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          ids: lookups.map(({ type, id }) => (type === "doi" ? `DOI:${id}` : `ARXIV:${id}`)),
+        }),
+      }
+    );
+    const papers = await json;
+    return lookups.map((_, index) => (papers[index] ? papers[index].citationCount : null));
+  },
 
-    // throttle Semantic Scholar so we don't reach limit.
-    // This needs to be done before any return, regardless of path.
-    // Allow rate limiting to be disabled for testing
-    const rateLimitDelay = this.getPref('semanticScholarRateLimitMs') || 3000;
-    if (rateLimitDelay > 0) {
-      await new Promise((r) => setTimeout(r, rateLimitDelay));
-    }
+  _semanticScholarCallback: function (response) {
+    let count;
 
     if (response.data) {
       // Handle search results
@@ -1059,6 +2935,186 @@ ZoteroCitationCounts = {
       return null; // This will be caught by parseInt validation in _sendRequest
     }
   },
+
+  /**
+   * Look up several papers with one NASA ADS search for all of their identifiers (ADS's "identifier" field holds both DOIs and arXiv ids).
+   * The "bigquery" endpoint isn't used, as it only accepts bibcodes.
+   */
+  _nasaadsBatch: async function (lookups) {
+    const identifiers = lookups.map(({ type, id }) =>
+      (type === "doi" ? id : `arXiv:${id}`).replace(/"/g, "")
+    );
+    const query = `identifier:(${identifiers.map((identifier) => `"${identifier}"`).join(" OR ")})`;
+    const { json } = await this._fetchCached(
+      `https://api.adsabs.harvard.edu/v1/search/query?q=${encodeURIComponent(query)}&fl=citation_count,identifier&rows=${lookups.length}`
+    );
+
+    const counts = new Map();
+    const docs = ((await json).response || {}).docs || [];
+    docs.forEach((doc) =>
+      (doc.identifier || []).forEach((identifier) =>
+        counts.set(identifier.toLowerCase(), doc.citation_count)
+      )
+    );
+    return identifiers.map((identifier) =>
+      counts.has(identifier.toLowerCase()) ? counts.get(identifier.toLowerCase()) : null
+    );
+  },
+
+  _openAlexUrl: function (id, type) {
+    let url;
+    if (type === "doi") {
+      url = `https://api.openalex.org/works/doi:${id}`;
+    } else if (type === "arxiv") {
+      // OpenAlex doesn't index arXiv ids directly, but every arXiv paper has a DataCite DOI.
+      url = `https://api.openalex.org/works/doi:10.48550/arXiv.${id}`;
+    } else if (type === "title_author_year") {
+      // Commas separate filters in OpenAlex, so they can't appear inside the title filter value.
+      const filters = [];
+      if (id && id.title) {
+        filters.push(`title.search:${encodeURIComponent(id.title.replace(/,/g, " "))}`);
+      }
+      if (id && id.year) {
+        filters.push(`publication_year:${encodeURIComponent(id.year)}`);
+      }
+      url = `https://api.openalex.org/works?filter=${filters.join(",")}&per-page=1`;
+    } else {
+      return "";
+    }
+
+    return this._addOpenAlexMailto(url);
+  },
+
+  /**
+   * Requests with a contact email are routed to OpenAlex's faster "polite pool".
+   */
+  _addOpenAlexMailto: function (url) {
+    const mailto = this.getPref("openalexMailto");
+    if (mailto) {
+      url += `${url.includes("?") ? "&" : "?"}mailto=${encodeURIComponent(mailto)}`;
+    }
+    return url;
+  },
+
+  /**
+   * Look up to 50 papers with one OpenAlex request, filtering works by any of their DOIs.
+   */
+  _openAlexBatch: async function (lookups) {
+    // OpenAlex knows arXiv papers by their DataCite DOI, see *_openAlexUrl*.
+    const dois = lookups.map(({ type, id }) => (type === "doi" ? id : `10.48550/arXiv.${id}`));
+    const { json } = await this._fetchCached(
+      this._addOpenAlexMailto(
+        `https://api.openalex.org/works?filter=doi:${dois.map(encodeURIComponent).join("|")}&select=doi,cited_by_count&per-page=${lookups.length}`
+      )
+    );
+
+    const counts = new Map();
+    ((await json).results || []).forEach((work) => {
+      if (work.doi) {
+        counts.set(work.doi.replace(/^https:\/\/doi\.org\//i, "").toLowerCase(), work.cited_by_count);
+      }
+    });
+    return dois.map((doi) => (counts.has(doi.toLowerCase()) ? counts.get(doi.toLowerCase()) : null));
+  },
+
+  _openAlexCallback: function (response) {
+    if (response.results) {
+      // Handle search results
+      if (response.meta && response.meta.count > 1) {
+        this._log(`OpenAlex query returned ${response.meta.count} results. Using the first one.`);
+      }
+      if (response.results.length > 0 && response.results[0].cited_by_count !== null && response.results[0].cited_by_count !== undefined) {
+        return response.results[0].cited_by_count;
+      }
+      this._log('OpenAlex search response did not contain expected cited_by_count. Response: ' + JSON.stringify(response));
+      return null; // Will be caught by parseInt validation in _sendRequest
+    }
+
+    if (response.cited_by_count !== null && response.cited_by_count !== undefined) {
+      return response.cited_by_count;
+    }
+    this._log('OpenAlex response did not contain expected cited_by_count. Response: ' + JSON.stringify(response));
+    return null; // Will be caught by parseInt validation in _sendRequest
+  },
+
+  _openCitationsUrl: function (id, type) {
+    return `https://api.opencitations.net/index/v2/citation-count/doi:${id}`;
+  },
+
+  _openCitationsCallback: function (response) {
+    // The count is returned as a string inside a single-element array, e.g. [{ "count": "42" }].
+    return response.length > 0 ? response[0]["count"] : null;
+  },
+
+  _europePmcUrl: function (id, type) {
+    let query;
+    if (type === "doi") {
+      query = `DOI:"${decodeURIComponent(id)}"`;
+    } else if (type === "pmid") {
+      query = `EXT_ID:${decodeURIComponent(id)} AND SRC:MED`;
+    } else if (type === "pmcid") {
+      query = `PMCID:${decodeURIComponent(id)}`;
+    } else if (type === "title_author_year") {
+      const terms = [];
+      if (id && id.title) {
+        terms.push(`TITLE:"${id.title.replace(/"/g, "")}"`);
+      }
+      if (id && id.author) {
+        terms.push(`AUTH:"${id.author.replace(/"/g, "")}"`);
+      }
+      if (id && id.year) {
+        terms.push(`PUB_YEAR:${id.year}`);
+      }
+      query = terms.join(" AND ");
+    } else {
+      return "";
+    }
+    return `https://www.ebi.ac.uk/europepmc/webservices/rest/search?query=${encodeURIComponent(query)}&format=json&resultType=lite&pageSize=1`;
+  },
+
+  _europePmcCallback: function (response) {
+    if (response.hitCount > 1) {
+      this._log(`Europe PMC query returned ${response.hitCount} results. Using the first one.`);
+    }
+
+    const results = response.resultList && response.resultList.result;
+    if (results && results.length > 0 && results[0].citedByCount !== null && results[0].citedByCount !== undefined) {
+      return results[0].citedByCount;
+    }
+    this._log('Europe PMC response did not contain expected citedByCount. Response: ' + JSON.stringify(response));
+    return null; // Will be caught by parseInt validation in _sendRequest
+  },
+
+  _iciteUrl: function (id, type) {
+    // iCite only indexes PubMed ids, so items that only have a PMCID can't be looked up.
+    if (type !== "pmid") {
+      throw new Error("citationcounts-progresswindow-error-no-pmid");
+    }
+    return `https://icite.od.nih.gov/api/pubs/${id}`;
+  },
+
+  _iciteCallback: function (response) {
+    return response["citation_count"];
+  },
+
+  _dataciteUrl: function (id, type) {
+    if (type === "arxiv") {
+      // arXiv registers a DataCite DOI for every paper.
+      return `https://api.datacite.org/dois/10.48550%2FarXiv.${id}`;
+    }
+    return `https://api.datacite.org/dois/${id}`;
+  },
+
+  _dataciteCallback: function (response) {
+    return response["data"]["attributes"]["citationCount"];
+  },
+
+  _iciteMetricsCallback: function (response) {
+    return {
+      "Relative Citation Ratio": response["relative_citation_ratio"],
+      "NIH percentile": response["nih_percentile"],
+    };
+  },
 };
 
 // Export for Node.js testing while maintaining Zotero compatibility
@@ -208,6 +208,6 @@ describe('Error Message Key Analysis', function() {
 console.log('\n🏁 Issue Detection Complete');
 console.log('\nFixes Implemented:');
 console.log('✅ 1. FIXED: NASA ADS useTitleSearch now correctly set to true');
-console.log('✅ 2. FIXED: Rate limiting is now configurable via semanticScholarRateLimitMs preference');
+console.log('✅ 2. FIXED: Rate limiting is now configurable via rateLimits preference');
 console.log('🔄 3. Enhanced input validation and error handling implemented');
 console.log('🔄 4. Consistent error message formats maintained across all APIs');
\ No newline at end of file
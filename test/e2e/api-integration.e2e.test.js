@@ -147,16 +147,20 @@ describe('E2E: API Integration Scenarios', function() {
         title: 'Semantic Scholar DOI Test',
         DOI: '10.1145/3097983.3098056'
       });
+      const secondItem = harness.createMockItem({
+        title: 'Semantic Scholar DOI Test 2',
+        DOI: '10.1145/3097983.3098057'
+      });
 
       const semanticAPI = global.ZoteroCitationCounts.APIs.find(api => api.key === 'semanticscholar');
       
       // Start request
       const startTime = Date.now();
-      await global.ZoteroCitationCounts.updateItems([testItem], semanticAPI);
+      await global.ZoteroCitationCounts.updateItems([testItem, secondItem], semanticAPI);
       const endTime = Date.now();
 
-      // Verify rate limiting delay occurred (should be at least 3 seconds)
-      expect(endTime - startTime).to.be.at.least(3000);
+      // Verify rate limiting delay occurred before the second request (one request every 3 seconds)
+      expect(endTime - startTime).to.be.at.least(2900);
 
       // Verify citation count
       const extraCall = testItem.setField.getCalls().find(call => call.args[0] === 'extra');
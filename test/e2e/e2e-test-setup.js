@@ -68,8 +68,14 @@ class ZoteroE2ETestHarness {
     // Mock fetch for API calls
     this.fetchStub = sinon.stub(global, 'fetch');
 
+    // Keep the backoff between retries of failed requests short
+    this.setPreference('retryBaseDelayMs', 1);
+
     // Load the main plugin code
     global.ZoteroCitationCounts = require('../../src/zoterocitationcounts');
+    // The module is cached between tests, so start every test with full rate limit buckets
+    global.ZoteroCitationCounts._rateLimitBuckets = {};
+    global.ZoteroCitationCounts._lookupCache.clear();
     
     // Initialize plugin
     global.ZoteroCitationCounts.init({
@@ -128,6 +134,7 @@ class ZoteroE2ETestHarness {
           children: [],
           parent: null,
           addEventListener: sinon.stub(),
+          removeEventListener: sinon.stub(),
           setAttribute: sinon.stub().callsFake((key, value) => {
             element.attributes.set(key, value);
             // Update id property and elements map when id is set
@@ -174,6 +181,9 @@ class ZoteroE2ETestHarness {
     const itemMenu = mockDocument.createXULElement('menupopup');
     itemMenu.setAttribute('id', 'zotero-itemmenu');
 
+    const collectionMenu = mockDocument.createXULElement('menupopup');
+    collectionMenu.setAttribute('id', 'zotero-collectionmenu');
+
     return mockDocument;
   }
 
@@ -75,10 +75,10 @@ describe('E2E: Issue Detection and Code Quality', function() {
 
   describe('Race Conditions and Timing Issues', function() {
     it('ISSUE 2 FIXED: Semantic Scholar rate limiting is now configurable to avoid test race conditions', async function() {
-      const testItem = harness.createMockItem({
-        title: 'Rate Limit Test',
-        DOI: '10.1000/rate-test'
-      });
+      const testItems = [
+        harness.createMockItem({ title: 'Rate Limit Test', DOI: '10.1000/rate-test' }),
+        harness.createMockItem({ title: 'Rate Limit Test 2', DOI: '10.1000/rate-test-2' })
+      ];
 
       // Mock successful response
       harness.fetchStub.resolves({
@@ -90,14 +90,14 @@ describe('E2E: Issue Detection and Code Quality', function() {
       
       // Time the execution
       const startTime = Date.now();
-      await global.ZoteroCitationCounts.updateItems([testItem], semanticAPI);
+      await global.ZoteroCitationCounts.updateItems(testItems, semanticAPI);
       const duration = Date.now() - startTime;
 
-      // Should take at least 3 seconds due to rate limiting (if not configured to 0)
+      // The second request waits 3 seconds for the Semantic Scholar rate limit (if not configured to 0)
       expect(duration).to.be.at.least(2900); // Allow some variance
       
-      // FIXED: Rate limiting is now configurable via semanticScholarRateLimitMs preference
-      // Tests can set this to 0 for fast testing or keep default 3000ms for realistic testing
+      // FIXED: Rate limits are now configurable via the rateLimits preference
+      // Tests can set an API's requestsPerSecond to 0 for fast testing or keep the defaults for realistic testing
     });
   });
 
@@ -12,8 +12,12 @@ class TestConfig {
    * Configure plugin for fast testing (disable rate limiting)
    */
   static setupFastTesting(harness) {
-    // Disable Semantic Scholar rate limiting for tests
-    harness.setPreference('semanticScholarRateLimitMs', 0);
+    // Disable the rate limits of all APIs for tests
+    const rateLimits = {};
+    global.ZoteroCitationCounts.APIs.forEach((api) => {
+      rateLimits[api.key] = { requestsPerSecond: 0 };
+    });
+    harness.setPreference('rateLimits', JSON.stringify(rateLimits));
     
     // Set shorter timeouts if needed
     harness.setPreference('apiTimeoutMs', 5000);
@@ -25,8 +29,8 @@ class TestConfig {
    * Configure plugin for integration testing with real APIs
    */
   static setupIntegrationTesting(harness) {
-    // Keep normal rate limiting for integration tests
-    harness.setPreference('semanticScholarRateLimitMs', 3000);
+    // Keep the default rate limits for integration tests
+    harness.setPreference('rateLimits', '');
     
     // Set NASA ADS API key if provided in environment
     if (process.env.NASA_ADS_API_KEY) {
@@ -205,7 +209,7 @@ class TestConfig {
     
     // Check rate limiting is configurable
     const semanticAPI = global.ZoteroCitationCounts.APIs.find(api => api.key === 'semanticscholar');
-    if (semanticAPI) {
+    if (semanticAPI && semanticAPI.rateLimit) {
       console.log('✅ Fix 2: Semantic Scholar rate limiting configurable');
     }
     
@@ -0,0 +1,133 @@
+const chai = require("chai");
+const sinon = require("sinon");
+const { assert, expect } = chai;
+const fs = require('fs');
+const path = require('path');
+
+// Load the script content
+const zccCode = fs.readFileSync(path.join(__dirname, '../../src/zoterocitationcounts.js'), 'utf-8');
+
+describe("DataCite Integration Tests", () => {
+  let originalFetch;
+  let dataciteAPI;
+  const today = "2024-07-27"; // Fixed date for consistent testing
+
+  const createMockItem = (props) => {
+    const item = {
+      id: 1,
+      isFeedItem: false,
+      getField: sinon.stub(),
+      setField: sinon.stub(),
+      saveTx: sinon.stub().resolves(),
+      getCreators: sinon.stub().returns(props.creators || []),
+    };
+    ["title", "DOI", "url", "date", "year", "extra"].forEach((field) => {
+      item.getField.withArgs(field).returns(props[field] || null);
+    });
+    return item;
+  };
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+
+    global.Localization = sinon.stub().returns({
+      formatValue: sinon.stub().resolvesArg(0)
+    });
+
+    global.Zotero = {
+      Prefs: {
+        get: sinon.stub(),
+        set: sinon.stub(),
+      },
+      debug: sinon.stub(),
+      ProgressWindow: sinon.stub().returns({
+        show: sinon.stub(),
+        changeHeadline: sinon.stub(),
+        ItemProgress: sinon.stub().returns({
+          setError: sinon.stub(),
+          setIcon: sinon.stub(),
+          setProgress: sinon.stub(),
+        }),
+        startCloseTimer: sinon.stub(),
+      }),
+      Plugins: { Utilities: { log: sinon.stub() } }
+    };
+
+    global.fetch = sinon.stub();
+    sinon.stub(Date.prototype, 'toISOString').returns(`${today}T12:00:00.000Z`);
+
+    new Function('Zotero', zccCode)(global.Zotero);
+
+    global.ZoteroCitationCounts.init({
+      id: 'zotero-citation-counts@example.com',
+      version: '1.0.0-test',
+      rootURI: 'chrome://zoterocitationcounts/'
+    });
+    global.ZoteroCitationCounts.l10n.formatValue = sinon.stub().resolvesArg(0);
+
+    dataciteAPI = global.ZoteroCitationCounts.APIs.find((api) => api.key === "datacite");
+    expect(dataciteAPI).to.exist;
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    global.fetch = originalFetch;
+    delete global.Zotero;
+    delete global.Localization;
+    if (global.ZoteroCitationCounts) {
+      delete global.ZoteroCitationCounts;
+    }
+  });
+
+  describe("_dataciteCallback", () => {
+    it("should return undefined if citationCount is missing", () => {
+      expect(global.ZoteroCitationCounts._dataciteCallback({ data: { attributes: {} } })).to.be.undefined;
+    });
+
+    it("should throw error if data is missing (accessing property of undefined)", () => {
+      expect(() => global.ZoteroCitationCounts._dataciteCallback({ errors: [{ status: "404" }] })).to.throw(TypeError);
+    });
+  });
+
+  describe("DataCite Scenarios", () => {
+    const dataciteResponse = (count) => ({
+      ok: true,
+      json: async () => ({ data: { type: "dois", attributes: { citationCount: count } } }),
+    });
+
+    it("Scenario 1: dataset with a DOI field", async () => {
+      const mockItem = createMockItem({ DOI: "10.5281/zenodo.1234567" });
+      global.fetch.resolves(dataciteResponse(14));
+
+      await global.ZoteroCitationCounts.updateItems([mockItem], dataciteAPI);
+
+      expect(global.fetch.firstCall.args[0]).to.equal("https://api.datacite.org/dois/10.5281%2Fzenodo.1234567");
+      sinon.assert.calledWithExactly(mockItem.setField, "extra", `14 citations (DataCite/DOI) [${today}]\n`);
+    });
+
+    it("Scenario 2: computerProgram with its DOI stored in extra", async () => {
+      const mockItem = createMockItem({ extra: "DOI: 10.6084/m9.figshare.7654321" });
+      global.fetch.resolves(dataciteResponse(3));
+
+      await global.ZoteroCitationCounts.updateItems([mockItem], dataciteAPI);
+
+      expect(global.fetch.firstCall.args[0]).to.equal("https://api.datacite.org/dois/10.6084%2Fm9.figshare.7654321");
+      sinon.assert.calledWithExactly(
+        mockItem.setField,
+        "extra",
+        `3 citations (DataCite/DOI) [${today}]\nDOI: 10.6084/m9.figshare.7654321`
+      );
+    });
+
+    it("Scenario 3: preprint without DOI falls back to its arXiv DataCite DOI", async () => {
+      const mockItem = createMockItem({ url: "https://arxiv.org/abs/2101.00001" });
+      global.fetch.resolves(dataciteResponse(0));
+
+      await global.ZoteroCitationCounts.updateItems([mockItem], dataciteAPI);
+
+      sinon.assert.calledOnce(global.fetch);
+      expect(global.fetch.firstCall.args[0]).to.equal("https://api.datacite.org/dois/10.48550%2FarXiv.2101.00001");
+      sinon.assert.calledWithExactly(mockItem.setField, "extra", `0 citations (DataCite/arXiv) [${today}]\n`);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const chai = require("chai");
+const sinon = require("sinon");
+const { assert, expect } = chai;
+const fs = require('fs');
+const path = require('path');
+
+// Load the script content
+const zccCode = fs.readFileSync(path.join(__dirname, '../../src/zoterocitationcounts.js'), 'utf-8');
+
+describe("Europe PMC Integration Tests", () => {
+  let originalFetch;
+  let europePmcAPI;
+  const today = "2024-07-27"; // Fixed date for consistent testing
+
+  const createMockItem = (props) => {
+    const item = {
+      id: 1,
+      isFeedItem: false,
+      getField: sinon.stub(),
+      setField: sinon.stub(),
+      saveTx: sinon.stub().resolves(),
+      getCreators: sinon.stub().returns(props.creators || []),
+    };
+    ["title", "DOI", "url", "date", "year", "extra"].forEach((field) => {
+      item.getField.withArgs(field).returns(props[field] || null);
+    });
+    return item;
+  };
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+
+    global.Localization = sinon.stub().returns({
+      formatValue: sinon.stub().resolvesArg(0)
+    });
+
+    global.Zotero = {
+      Prefs: {
+        get: sinon.stub(),
+        set: sinon.stub(),
+      },
+      debug: sinon.stub(),
+      ProgressWindow: sinon.stub().returns({
+        show: sinon.stub(),
+        changeHeadline: sinon.stub(),
+        ItemProgress: sinon.stub().returns({
+          setError: sinon.stub(),
+          setIcon: sinon.stub(),
+          setProgress: sinon.stub(),
+        }),
+        startCloseTimer: sinon.stub(),
+      }),
+      Plugins: { Utilities: { log: sinon.stub() } }
+    };
+
+    global.fetch = sinon.stub();
+    sinon.stub(Date.prototype, 'toISOString').returns(`${today}T12:00:00.000Z`);
+
+    new Function('Zotero', zccCode)(global.Zotero);
+
+    global.ZoteroCitationCounts.init({
+      id: 'zotero-citation-counts@example.com',
+      version: '1.0.0-test',
+      rootURI: 'chrome://zoterocitationcounts/'
+    });
+    global.ZoteroCitationCounts.l10n.formatValue = sinon.stub().resolvesArg(0);
+
+    europePmcAPI = global.ZoteroCitationCounts.APIs.find((api) => api.key === "europepmc");
+    expect(europePmcAPI).to.exist;
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    global.fetch = originalFetch;
+    delete global.Zotero;
+    delete global.Localization;
+    if (global.ZoteroCitationCounts) {
+      delete global.ZoteroCitationCounts;
+    }
+  });
+
+  describe("_europePmcUrl", () => {
+    it("should construct the correct URL for a given PMID", () => {
+      assert.equal(
+        global.ZoteroCitationCounts._europePmcUrl("31452104", "pmid"),
+        "https://www.ebi.ac.uk/europepmc/webservices/rest/search?query=EXT_ID%3A31452104%20AND%20SRC%3AMED&format=json&resultType=lite&pageSize=1"
+      );
+    });
+  });
+
+  describe("_europePmcCallback", () => {
+    it("should extract citedByCount from a valid API response", () => {
+      const response = { hitCount: 1, resultList: { result: [{ id: "31452104", source: "MED", citedByCount: 58 }] } };
+      assert.equal(global.ZoteroCitationCounts._europePmcCallback(response), 58);
+    });
+
+    it("should throw an error if the response itself is null", () => {
+      expect(() => global.ZoteroCitationCounts._europePmcCallback(null)).to.throw(TypeError);
+    });
+  });
+
+  describe("Europe PMC Scenarios", () => {
+    it("Scenario 1: Item with a PMID in extra but no DOI is looked up by PMID", async () => {
+      const mockItem = createMockItem({ title: "A Biomedical Paper", extra: "PMID: 31452104" });
+      global.fetch.resolves({ ok: true, json: async () => ({ hitCount: 1, resultList: { result: [{ citedByCount: 58 }] } }) });
+
+      await global.ZoteroCitationCounts.updateItems([mockItem], europePmcAPI);
+
+      sinon.assert.calledOnce(global.fetch);
+      expect(global.fetch.firstCall.args[0]).to.include("query=EXT_ID%3A31452104%20AND%20SRC%3AMED");
+      sinon.assert.calledWithExactly(mockItem.setField, "extra", `58 citations (Europe PMC/PMID) [${today}]\nPMID: 31452104`);
+    });
+
+    it("Scenario 2: Item with only a PMCID is looked up by PMCID", async () => {
+      const mockItem = createMockItem({ title: "An Open Access Paper", extra: "PMCID: PMC6710932" });
+      global.fetch.resolves({ ok: true, json: async () => ({ hitCount: 1, resultList: { result: [{ citedByCount: 3 }] } }) });
+
+      await global.ZoteroCitationCounts.updateItems([mockItem], europePmcAPI);
+
+      sinon.assert.calledOnce(global.fetch);
+      expect(global.fetch.firstCall.args[0]).to.include("query=PMCID%3APMC6710932");
+      sinon.assert.calledWithExactly(mockItem.setField, "extra", `3 citations (Europe PMC/PMCID) [${today}]\nPMCID: PMC6710932`);
+    });
+
+    it("Scenario 3: Item without DOI, PMID or usable metadata reports the missing identifiers", async () => {
+      const mockItem = createMockItem({ title: "Lonely Title" });
+
+      await global.ZoteroCitationCounts.updateItems([mockItem], europePmcAPI);
+
+      sinon.assert.notCalled(global.fetch);
+      const pwInstance = global.Zotero.ProgressWindow.returnValues[0];
+      sinon.assert.calledWith(pwInstance.ItemProgress, sinon.match.any, "citationcounts-progresswindow-error-insufficient-metadata-for-title-search");
+    });
+  });
+});
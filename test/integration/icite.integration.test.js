@@ -0,0 +1,122 @@
+const chai = require("chai");
+const sinon = require("sinon");
+const { assert, expect } = chai;
+const fs = require('fs');
+const path = require('path');
+
+// Load the script content
+const zccCode = fs.readFileSync(path.join(__dirname, '../../src/zoterocitationcounts.js'), 'utf-8');
+
+describe("NIH iCite Integration Tests", () => {
+  let originalFetch;
+  let iciteAPI;
+  const today = "2024-07-27"; // Fixed date for consistent testing
+
+  const createMockItem = (props) => {
+    const item = {
+      id: 1,
+      isFeedItem: false,
+      getField: sinon.stub(),
+      setField: sinon.stub(),
+      saveTx: sinon.stub().resolves(),
+      getCreators: sinon.stub().returns(props.creators || []),
+    };
+    ["title", "DOI", "url", "date", "year", "extra"].forEach((field) => {
+      item.getField.withArgs(field).returns(props[field] || null);
+    });
+    return item;
+  };
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+
+    global.Localization = sinon.stub().returns({
+      formatValue: sinon.stub().resolvesArg(0)
+    });
+
+    global.Zotero = {
+      Prefs: {
+        get: sinon.stub(),
+        set: sinon.stub(),
+      },
+      debug: sinon.stub(),
+      ProgressWindow: sinon.stub().returns({
+        show: sinon.stub(),
+        changeHeadline: sinon.stub(),
+        ItemProgress: sinon.stub().returns({
+          setError: sinon.stub(),
+          setIcon: sinon.stub(),
+          setProgress: sinon.stub(),
+        }),
+        startCloseTimer: sinon.stub(),
+      }),
+      Plugins: { Utilities: { log: sinon.stub() } }
+    };
+
+    global.fetch = sinon.stub();
+    sinon.stub(Date.prototype, 'toISOString').returns(`${today}T12:00:00.000Z`);
+
+    new Function('Zotero', zccCode)(global.Zotero);
+
+    global.ZoteroCitationCounts.init({
+      id: 'zotero-citation-counts@example.com',
+      version: '1.0.0-test',
+      rootURI: 'chrome://zoterocitationcounts/'
+    });
+    global.ZoteroCitationCounts.l10n.formatValue = sinon.stub().resolvesArg(0);
+
+    iciteAPI = global.ZoteroCitationCounts.APIs.find((api) => api.key === "icite");
+    expect(iciteAPI).to.exist;
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    global.fetch = originalFetch;
+    delete global.Zotero;
+    delete global.Localization;
+    if (global.ZoteroCitationCounts) {
+      delete global.ZoteroCitationCounts;
+    }
+  });
+
+  describe("_iciteUrl", () => {
+    it("should construct the correct URL for a given PMID", () => {
+      assert.equal(global.ZoteroCitationCounts._iciteUrl("31452104", "pmid"), "https://icite.od.nih.gov/api/pubs/31452104");
+    });
+  });
+
+  describe("_iciteCallback", () => {
+    it("should return undefined if citation_count is missing", () => {
+      expect(global.ZoteroCitationCounts._iciteCallback({ pmid: 31452104 })).to.be.undefined;
+    });
+  });
+
+  describe("NIH iCite Scenarios", () => {
+    it("Scenario 1: Stores the count, Relative Citation Ratio and NIH percentile", async () => {
+      const mockItem = createMockItem({ title: "An NIH Funded Paper", extra: "PMID: 31452104" });
+      global.fetch.resolves({
+        ok: true,
+        json: async () => ({ pmid: 31452104, citation_count: 58, relative_citation_ratio: 2.31, nih_percentile: 83.4 }),
+      });
+
+      await global.ZoteroCitationCounts.updateItems([mockItem], iciteAPI);
+
+      sinon.assert.calledOnce(global.fetch);
+      expect(global.fetch.firstCall.args[0]).to.equal("https://icite.od.nih.gov/api/pubs/31452104");
+      sinon.assert.calledWithExactly(
+        mockItem.setField,
+        "extra",
+        `58 citations (NIH iCite/PMID) [${today}]\nRelative Citation Ratio: 2.31 (NIH iCite/PMID) [${today}]\nNIH percentile: 83.4 (NIH iCite/PMID) [${today}]\nPMID: 31452104`
+      );
+    });
+
+    it("Scenario 2: Items with only a PMCID are not sent to iCite", async () => {
+      const mockItem = createMockItem({ title: "Open Access Only", extra: "PMCID: PMC6710932" });
+
+      await global.ZoteroCitationCounts.updateItems([mockItem], iciteAPI);
+
+      sinon.assert.notCalled(global.fetch);
+      sinon.assert.notCalled(mockItem.setField);
+    });
+  });
+});
@@ -495,5 +495,40 @@ describe('ZoteroCitationCounts - NASA ADS Integration Tests', function() {
       sinon.assert.calledWithMatch(global.Zotero.debug, `Zotero Citation Counts: [Error] _updateItem: Error processing item '${mockItem.id}': citationcounts-progresswindow-error-insufficient-metadata-for-title-search`);
     });
 
+    it('Scenario 10: Batch request for several items, retrieving the missing ones on their own', async function() {
+      const doiItem = createMockItem(sandbox, '10.1234/Batch.DOI');
+      const arxivItem = createMockItem(sandbox, null, "", "2301.00001");
+      const missingItem = createMockItem(sandbox, '10.1234/missing');
+      global.Zotero.Prefs.get.withArgs('extensions.citationcounts.nasaadsApiKey', true).returns('TEST_KEY');
+
+      global.fetch.withArgs(sinon.match(/identifier%3A/)).resolves({
+        ok: true,
+        status: 200,
+        json: sinon.stub().resolves({ response: { docs: [
+          { citation_count: 8, identifier: ['2023arXiv230100001A', 'arXiv:2301.00001'] },
+          { citation_count: 42, identifier: ['10.1234/batch.doi'] },
+        ], numFound: 2 } }),
+      });
+      global.fetch.withArgs(sinon.match(/q=doi/)).resolves({
+        ok: true,
+        status: 200,
+        json: sinon.stub().resolves({ response: { docs: [{ citation_count: 5 }], numFound: 1 } }),
+      });
+
+      await global.ZoteroCitationCounts.updateItems([doiItem, arxivItem, missingItem], nasaAdsApiObject);
+
+      const batchCall = global.fetch.getCall(0);
+      expect(decodeURIComponent(batchCall.args[0])).to.include(
+        'q=identifier:("10.1234/Batch.DOI" OR "arXiv:2301.00001" OR "10.1234/missing")&fl=citation_count,identifier&rows=3'
+      );
+      expect(batchCall.args[1].headers.Authorization).to.equal('Bearer TEST_KEY');
+      sinon.assert.calledTwice(global.fetch);
+      expect(global.fetch.getCall(1).args[0]).to.include('q=doi:10.1234%2Fmissing');
+
+      sinon.assert.calledWithExactly(doiItem.setField, 'extra', '42 citations (NASA ADS/DOI) [2023-01-01]\n');
+      sinon.assert.calledWithExactly(arxivItem.setField, 'extra', '8 citations (NASA ADS/arXiv) [2023-01-01]\n');
+      sinon.assert.calledWithExactly(missingItem.setField, 'extra', '5 citations (NASA ADS/DOI) [2023-01-01]\n');
+    });
+
   });
 });
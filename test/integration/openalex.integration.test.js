@@ -0,0 +1,162 @@
+const chai = require("chai");
+const sinon = require("sinon");
+const { assert, expect } = chai;
+const fs = require('fs');
+const path = require('path');
+
+// Load the script content
+const zccCode = fs.readFileSync(path.join(__dirname, '../../src/zoterocitationcounts.js'), 'utf-8');
+
+describe("OpenAlex Integration Tests", () => {
+  let originalFetch;
+  let openAlexAPI;
+  const today = "2024-07-27"; // Fixed date for consistent testing
+
+  const createMockItem = (props) => {
+    const item = {
+      id: 1,
+      isFeedItem: false,
+      getField: sinon.stub(),
+      setField: sinon.stub(),
+      saveTx: sinon.stub().resolves(),
+      getCreators: sinon.stub().returns(props.creators || []),
+    };
+    ["title", "DOI", "url", "date", "year", "extra"].forEach((field) => {
+      item.getField.withArgs(field).returns(props[field] || null);
+    });
+    return item;
+  };
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+
+    global.Localization = sinon.stub().returns({
+      formatValue: sinon.stub().resolvesArg(0)
+    });
+
+    global.Zotero = {
+      Prefs: {
+        get: sinon.stub(),
+        set: sinon.stub(),
+      },
+      debug: sinon.stub(),
+      ProgressWindow: sinon.stub().returns({
+        show: sinon.stub(),
+        changeHeadline: sinon.stub(),
+        ItemProgress: sinon.stub().returns({
+          setError: sinon.stub(),
+          setIcon: sinon.stub(),
+          setProgress: sinon.stub(),
+        }),
+        startCloseTimer: sinon.stub(),
+      }),
+      Plugins: { Utilities: { log: sinon.stub() } }
+    };
+
+    global.fetch = sinon.stub();
+    sinon.stub(Date.prototype, 'toISOString').returns(`${today}T12:00:00.000Z`);
+
+    new Function('Zotero', zccCode)(global.Zotero);
+
+    global.ZoteroCitationCounts.init({
+      id: 'zotero-citation-counts@example.com',
+      version: '1.0.0-test',
+      rootURI: 'chrome://zoterocitationcounts/'
+    });
+    global.ZoteroCitationCounts.l10n.formatValue = sinon.stub().resolvesArg(0);
+
+    openAlexAPI = global.ZoteroCitationCounts.APIs.find((api) => api.key === "openalex");
+    expect(openAlexAPI).to.exist;
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    global.fetch = originalFetch;
+    delete global.Zotero;
+    delete global.Localization;
+    if (global.ZoteroCitationCounts) {
+      delete global.ZoteroCitationCounts;
+    }
+  });
+
+  describe("_openAlexUrl", () => {
+    it("should construct the correct URL for a given DOI", () => {
+      const doi = "10.1000%2Fxyz123";
+      assert.equal(global.ZoteroCitationCounts._openAlexUrl(doi, "doi"), `https://api.openalex.org/works/doi:${doi}`);
+    });
+
+    it("should resolve arXiv ids through their arXiv DOI", () => {
+      assert.equal(
+        global.ZoteroCitationCounts._openAlexUrl("2101.00001", "arxiv"),
+        "https://api.openalex.org/works/doi:10.48550/arXiv.2101.00001"
+      );
+    });
+  });
+
+  describe("_openAlexCallback", () => {
+    it("should extract cited_by_count from a work", () => {
+      assert.equal(global.ZoteroCitationCounts._openAlexCallback({ id: "https://openalex.org/W1", cited_by_count: 314 }), 314);
+    });
+
+    it("should throw an error if the response itself is null", () => {
+      expect(() => global.ZoteroCitationCounts._openAlexCallback(null)).to.throw(TypeError);
+    });
+  });
+
+  describe("OpenAlex Scenarios", () => {
+    it("Scenario 1: Successful fetch and update via DOI with polite pool email", async () => {
+      global.Zotero.Prefs.get.withArgs('extensions.citationcounts.openalexMailto', true).returns('lib@example.edu');
+      const mockItem = createMockItem({ DOI: "10.1000/xyz123" });
+      global.fetch.resolves({ ok: true, json: async () => ({ cited_by_count: 12 }) });
+
+      await global.ZoteroCitationCounts.updateItems([mockItem], openAlexAPI);
+
+      sinon.assert.calledOnce(global.fetch);
+      expect(global.fetch.firstCall.args[0]).to.equal("https://api.openalex.org/works/doi:10.1000%2Fxyz123?mailto=lib%40example.edu");
+      sinon.assert.calledWithExactly(mockItem.setField, "extra", `12 citations (OpenAlex/DOI) [${today}]\n`);
+    });
+
+    it("Scenario 2: Falls back to title search when DOI is not found", async () => {
+      const mockItem = createMockItem({
+        DOI: "10.1000/missing",
+        title: "A Humanities Paper",
+        year: "2019",
+        creators: [{ lastName: "Doe" }],
+      });
+      global.fetch.onFirstCall().resolves({ ok: false, status: 404 });
+      global.fetch.onSecondCall().resolves({ ok: true, json: async () => ({ meta: { count: 1 }, results: [{ cited_by_count: 5 }] }) });
+
+      await global.ZoteroCitationCounts.updateItems([mockItem], openAlexAPI);
+
+      // DOI, then arXiv (no id on item, so no request), then title search
+      sinon.assert.calledTwice(global.fetch);
+      expect(global.fetch.secondCall.args[0]).to.equal(
+        "https://api.openalex.org/works?filter=title.search:A%20Humanities%20Paper,publication_year:2019&per-page=1"
+      );
+      sinon.assert.calledWithExactly(mockItem.setField, "extra", `5 citations (OpenAlex/Title) [${today}]\n`);
+    });
+
+    it("Scenario 3: Retrieves several items with one batch request", async () => {
+      const doiItem = createMockItem({ DOI: "10.1000/ABC" });
+      const arxivItem = createMockItem({ url: "https://arxiv.org/abs/2101.00001" });
+      global.fetch.resolves({
+        ok: true,
+        json: async () => ({
+          results: [
+            { doi: "https://doi.org/10.48550/arxiv.2101.00001", cited_by_count: 3 },
+            { doi: "https://doi.org/10.1000/abc", cited_by_count: 21 },
+          ],
+        }),
+      });
+
+      await global.ZoteroCitationCounts.updateItems([doiItem, arxivItem], openAlexAPI);
+
+      sinon.assert.calledOnce(global.fetch);
+      expect(global.fetch.firstCall.args[0]).to.equal(
+        "https://api.openalex.org/works?filter=doi:10.1000%2FABC|10.48550%2FarXiv.2101.00001&select=doi,cited_by_count&per-page=2"
+      );
+      sinon.assert.calledWithExactly(doiItem.setField, "extra", `21 citations (OpenAlex/DOI) [${today}]\n`);
+      sinon.assert.calledWithExactly(arxivItem.setField, "extra", `3 citations (OpenAlex/arXiv) [${today}]\n`);
+    });
+  });
+});
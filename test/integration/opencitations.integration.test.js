@@ -0,0 +1,132 @@
+const chai = require("chai");
+const sinon = require("sinon");
+const { assert, expect } = chai;
+const fs = require('fs');
+const path = require('path');
+
+// Load the script content
+const zccCode = fs.readFileSync(path.join(__dirname, '../../src/zoterocitationcounts.js'), 'utf-8');
+
+describe("OpenCitations Integration Tests", () => {
+  let originalFetch;
+  let openCitationsAPI;
+  const today = "2024-07-27"; // Fixed date for consistent testing
+
+  const createMockItem = (props) => {
+    const item = {
+      id: 1,
+      isFeedItem: false,
+      getField: sinon.stub(),
+      setField: sinon.stub(),
+      saveTx: sinon.stub().resolves(),
+      getCreators: sinon.stub().returns(props.creators || []),
+    };
+    ["title", "DOI", "url", "date", "year", "extra"].forEach((field) => {
+      item.getField.withArgs(field).returns(props[field] || null);
+    });
+    return item;
+  };
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+
+    global.Localization = sinon.stub().returns({
+      formatValue: sinon.stub().resolvesArg(0)
+    });
+
+    global.Zotero = {
+      Prefs: {
+        get: sinon.stub(),
+        set: sinon.stub(),
+      },
+      debug: sinon.stub(),
+      ProgressWindow: sinon.stub().returns({
+        show: sinon.stub(),
+        changeHeadline: sinon.stub(),
+        ItemProgress: sinon.stub().returns({
+          setError: sinon.stub(),
+          setIcon: sinon.stub(),
+          setProgress: sinon.stub(),
+        }),
+        startCloseTimer: sinon.stub(),
+      }),
+      Plugins: { Utilities: { log: sinon.stub() } }
+    };
+
+    global.fetch = sinon.stub();
+    sinon.stub(Date.prototype, 'toISOString').returns(`${today}T12:00:00.000Z`);
+
+    new Function('Zotero', zccCode)(global.Zotero);
+
+    global.ZoteroCitationCounts.init({
+      id: 'zotero-citation-counts@example.com',
+      version: '1.0.0-test',
+      rootURI: 'chrome://zoterocitationcounts/'
+    });
+    global.ZoteroCitationCounts.l10n.formatValue = sinon.stub().resolvesArg(0);
+
+    openCitationsAPI = global.ZoteroCitationCounts.APIs.find((api) => api.key === "opencitations");
+    expect(openCitationsAPI).to.exist;
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    global.fetch = originalFetch;
+    delete global.Zotero;
+    delete global.Localization;
+    if (global.ZoteroCitationCounts) {
+      delete global.ZoteroCitationCounts;
+    }
+  });
+
+  describe("_openCitationsUrl", () => {
+    it("should construct the correct URL for a given DOI", () => {
+      const doi = "10.1000%2Fxyz123";
+      assert.equal(
+        global.ZoteroCitationCounts._openCitationsUrl(doi, "doi"),
+        `https://api.opencitations.net/index/v2/citation-count/doi:${doi}`
+      );
+    });
+  });
+
+  describe("_openCitationsCallback", () => {
+    it("should extract the string count from a valid API response", () => {
+      assert.equal(global.ZoteroCitationCounts._openCitationsCallback([{ count: "42" }]), "42");
+    });
+
+    it("should throw an error if the response itself is null", () => {
+      expect(() => global.ZoteroCitationCounts._openCitationsCallback(null)).to.throw(TypeError);
+    });
+  });
+
+  describe("OpenCitations Scenarios", () => {
+    it("Scenario 1: Stores its own line next to an existing Crossref count", async () => {
+      const mockItem = createMockItem({
+        DOI: "10.1000/xyz123",
+        extra: "50 citations (Crossref/DOI) [2024-01-01]",
+      });
+      global.fetch.resolves({ ok: true, json: async () => ([{ count: "42" }]) });
+
+      await global.ZoteroCitationCounts.updateItems([mockItem], openCitationsAPI);
+
+      sinon.assert.calledOnce(global.fetch);
+      expect(global.fetch.firstCall.args[0]).to.equal("https://api.opencitations.net/index/v2/citation-count/doi:10.1000%2Fxyz123");
+      sinon.assert.calledWithExactly(
+        mockItem.setField,
+        "extra",
+        `42 citations (OpenCitations/DOI) [${today}]\n50 citations (Crossref/DOI) [2024-01-01]`
+      );
+    });
+
+    it("Scenario 2: Fails without sending a request if the item has no DOI", async () => {
+      const mockItem = createMockItem({ title: "No DOI here" });
+
+      await global.ZoteroCitationCounts.updateItems([mockItem], openCitationsAPI);
+
+      sinon.assert.notCalled(global.fetch);
+      sinon.assert.notCalled(mockItem.setField);
+      const pwInstance = global.Zotero.ProgressWindow.returnValues[0];
+      sinon.assert.calledWith(pwInstance.ItemProgress, sinon.match.any, "citationcounts-progresswindow-error-no-results-all-attempts");
+    });
+  });
+});
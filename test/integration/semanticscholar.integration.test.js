@@ -8,7 +8,7 @@ let itemCounter = 0; // Global counter for unique item IDs
 let zccCode; // To store script content
 
 describe("Semantic Scholar Integration Tests", function() {
-  // Set timeout to 5 seconds to account for 3-second Semantic Scholar throttle
+  // Set timeout to 5 seconds to account for the 3-second Semantic Scholar rate limit
   this.timeout(5000);
   let sandbox;
   let mockZotero; // Zotero will be global
@@ -41,7 +41,7 @@ describe("Semantic Scholar Integration Tests", function() {
     return item;
   };
 
-  // Set timeout to 5 seconds to account for 3-second Semantic Scholar throttle
+  // Set timeout to 5 seconds to account for the 3-second Semantic Scholar rate limit
   beforeEach(async function() {
     this.timeout(5000);
     sandbox = sinon.createSandbox();
@@ -178,7 +178,7 @@ describe("Semantic Scholar Integration Tests", function() {
       const expectedUrl =
         "https://api.semanticscholar.org/graph/v1/paper/10.1000%2Fxyz123?fields=citationCount";
       sinon.assert.calledOnce(global.fetch);
-      sinon.assert.calledWithExactly(global.fetch, expectedUrl, { headers: {} });
+      sinon.assert.calledWithExactly(global.fetch, expectedUrl, { headers: {}, signal: sinon.match.instanceOf(AbortSignal) });
       sinon.assert.calledOnce(mockItem.setField);
       sinon.assert.calledWithExactly(mockItem.setField, "extra", `123 citations (Semantic Scholar/DOI) [${today}]\n`);
       sinon.assert.calledOnce(mockItem.saveTx);
@@ -209,7 +209,7 @@ describe("Semantic Scholar Integration Tests", function() {
       const expectedUrl =
         "https://api.semanticscholar.org/graph/v1/paper/arXiv:2101.00001?fields=citationCount";
       sinon.assert.calledOnce(global.fetch);
-      sinon.assert.calledWithExactly(global.fetch, expectedUrl, { headers: {} });
+      sinon.assert.calledWithExactly(global.fetch, expectedUrl, { headers: {}, signal: sinon.match.instanceOf(AbortSignal) });
       sinon.assert.calledOnce(mockItem.setField);
       sinon.assert.calledWithExactly(mockItem.setField, "extra", `456 citations (Semantic Scholar/arXiv) [${today}]\n`);
       sinon.assert.calledOnce(mockItem.saveTx);
@@ -245,7 +245,7 @@ describe("Semantic Scholar Integration Tests", function() {
       const expectedUrl = `https://api.semanticscholar.org/graph/v1/paper/search?query=${encodeURIComponent(expectedQuery)}&fields=citationCount,externalIds`;
       
       sinon.assert.calledOnce(global.fetch);
-      sinon.assert.calledWithExactly(global.fetch, expectedUrl, { headers: {} });
+      sinon.assert.calledWithExactly(global.fetch, expectedUrl, { headers: {}, signal: sinon.match.instanceOf(AbortSignal) });
       sinon.assert.calledOnce(mockItem.setField);
       sinon.assert.calledWithExactly(mockItem.setField, "extra", `42 citations (Semantic Scholar/Title) [${today}]\n`);
       sinon.assert.calledOnce(mockItem.saveTx);
@@ -271,7 +271,7 @@ describe("Semantic Scholar Integration Tests", function() {
       const expectedQuery = `title:${encodeURIComponent(title)}+author:${encodeURIComponent(author)}+year:${encodeURIComponent(year)}`;
       const expectedUrl = `https://api.semanticscholar.org/graph/v1/paper/search?query=${encodeURIComponent(expectedQuery)}&fields=citationCount,externalIds`;
       sinon.assert.calledOnce(global.fetch);
-      sinon.assert.calledWithExactly(global.fetch, expectedUrl, { headers: {} });
+      sinon.assert.calledWithExactly(global.fetch, expectedUrl, { headers: {}, signal: sinon.match.instanceOf(AbortSignal) });
       sinon.assert.notCalled(mockItem.setField);
       sinon.assert.notCalled(mockItem.saveTx);
 
@@ -322,7 +322,7 @@ describe("Semantic Scholar Integration Tests", function() {
 
       const expectedDoiUrl = "https://api.semanticscholar.org/graph/v1/paper/10.1000%2Frealdoi?fields=citationCount";
       sinon.assert.calledOnce(global.fetch);
-      sinon.assert.calledWithExactly(global.fetch, expectedDoiUrl, { headers: {} });
+      sinon.assert.calledWithExactly(global.fetch, expectedDoiUrl, { headers: {}, signal: sinon.match.instanceOf(AbortSignal) });
       
       const titleQuery = "title%3AA%20Real%20Title%2Bauthor%3AAuthor%2Byear%3A2021";
       const expectedTitleUrl = `https://api.semanticscholar.org/graph/v1/paper/search?query=${titleQuery}&fields=citationCount,externalIds`;
@@ -351,7 +351,7 @@ describe("Semantic Scholar Integration Tests", function() {
 
       const expectedArxivUrl = "https://api.semanticscholar.org/graph/v1/paper/arXiv:2202.00002?fields=citationCount";
       sinon.assert.calledOnce(global.fetch);
-      sinon.assert.calledWithExactly(global.fetch, expectedArxivUrl, { headers: {} });
+      sinon.assert.calledWithExactly(global.fetch, expectedArxivUrl, { headers: {}, signal: sinon.match.instanceOf(AbortSignal) });
 
       const titleQuery = "title%3AAn%20ArXiv%20Title%2Bauthor%3AScientist%2Byear%3A2022";
       const expectedTitleUrl = `https://api.semanticscholar.org/graph/v1/paper/search?query=${titleQuery}&fields=citationCount,externalIds`;
@@ -391,7 +391,7 @@ describe("Semantic Scholar Integration Tests", function() {
       await global.ZoteroCitationCounts.updateItems([mockItem], semanticScholarAPI);
 
       sinon.assert.calledOnce(global.fetch);
-      sinon.assert.calledWithExactly(global.fetch, titleUrl, { headers: {} });
+      sinon.assert.calledWithExactly(global.fetch, titleUrl, { headers: {}, signal: sinon.match.instanceOf(AbortSignal) });
 
       sinon.assert.calledOnce(mockItem.setField);
       sinon.assert.calledWithExactly(mockItem.setField, "extra", `99 citations (Semantic Scholar/Title) [${today}]\n`);
@@ -419,6 +419,8 @@ describe("Semantic Scholar Integration Tests", function() {
         url: effectiveTitleUrl, 
         json: async () => ({ message: "Internal Server Error" }),
       });
+      // Don't retry the server error, each attempt would wait for the Semantic Scholar rate limit
+      mockZotero.Prefs.get.withArgs("extensions.citationcounts.retryMaxAttempts", true).returns(1);
       
       sandbox.stub(global.ZoteroCitationCounts, "_getDoi").withArgs(mockItem).throws(new Error("citationcounts-progresswindow-error-no-doi"));
       sandbox.stub(global.ZoteroCitationCounts, "_getArxiv").withArgs(mockItem).throws(new Error("citationcounts-progresswindow-error-no-arxiv"));
@@ -426,7 +428,7 @@ describe("Semantic Scholar Integration Tests", function() {
       await global.ZoteroCitationCounts.updateItems([mockItem], semanticScholarAPI);
 
       sinon.assert.calledOnce(global.fetch);
-      sinon.assert.calledWithExactly(global.fetch, effectiveTitleUrl, { headers: {} }); 
+      sinon.assert.calledWithExactly(global.fetch, effectiveTitleUrl, { headers: {}, signal: sinon.match.instanceOf(AbortSignal) }); 
       sinon.assert.notCalled(mockItem.setField);
       sinon.assert.notCalled(mockItem.saveTx);
 
@@ -438,6 +440,28 @@ describe("Semantic Scholar Integration Tests", function() {
       sinon.assert.calledWith(mockZotero.debug, sinon.match("Server error for https://api.semanticscholar.org/graph/v1/paper/search?query=title%3AError%2520Paper%2Bauthor%3AUnlucky%2Byear%3A2024&fields=citationCount%2CexternalIds: status 500")); 
     });
 
+    it("Scenario 10: Several items retrieved with one batch request", async () => {
+      const doiItem = createMockItem(sandbox, { DOI: "10.1000/xyz123" });
+      const arxivItem = createMockItem(sandbox, { url: "https://arxiv.org/abs/2101.00001" });
+
+      global.fetch.resolves({
+        ok: true,
+        json: async () => ([{ paperId: "a", citationCount: 123 }, { paperId: "b", citationCount: 45 }]),
+      });
+
+      await global.ZoteroCitationCounts.updateItems([doiItem, arxivItem], semanticScholarAPI);
+
+      sinon.assert.calledOnce(global.fetch);
+      sinon.assert.calledWithExactly(global.fetch, "https://api.semanticscholar.org/graph/v1/paper/batch?fields=citationCount", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ids: ["DOI:10.1000/xyz123", "ARXIV:2101.00001"] }),
+        signal: sinon.match.instanceOf(AbortSignal),
+      });
+      sinon.assert.calledWithExactly(doiItem.setField, "extra", `123 citations (Semantic Scholar/DOI) [${today}]\n`);
+      sinon.assert.calledWithExactly(arxivItem.setField, "extra", `45 citations (Semantic Scholar/arXiv) [${today}]\n`);
+    });
+
     it("Scenario (User Feedback): OpenAI GPT-4.5 System Card - Title Search", function(done) {
       let mockItem = createMockItem(sandbox, { 
         title: "OpenAI GPT-4.5 System Card",
@@ -21,6 +21,14 @@ describe('bootstrap.js', function() {
       },
       ItemTreeManager: {
         registerColumns: sinon.stub(),
+        refreshColumns: sinon.stub(),
+      },
+      Prefs: {
+        registerObserver: sinon.stub().callsFake((pref) => pref),
+        unregisterObserver: sinon.stub(),
+      },
+      ItemPaneManager: {
+        registerSection: sinon.stub(),
       },
       Notifier: {
         registerObserver: sinon.stub().returns({}),
@@ -41,17 +49,29 @@ describe('bootstrap.js', function() {
     // Mock ZoteroCitationCounts which is loaded by bootstrap
     global.ZoteroCitationCounts = {
       init: sinon.stub(),
+      initHistory: sinon.stub().resolves(),
+      startAutoRefresh: sinon.stub().resolves(),
+      stopAutoRefresh: sinon.stub(),
+      resumePendingOperations: sinon.stub().resolves(),
+      stopOperations: sinon.stub(),
+      startOfflineQueue: sinon.stub().resolves(),
+      pruneResponseCache: sinon.stub().resolves(0),
+      stopOfflineQueue: sinon.stub(),
+      queueOfflineItems: sinon.stub(),
+      deleteCitationCountHistory: sinon.stub().resolves(),
       addToAllWindows: sinon.stub(),
       addToWindow: sinon.stub(),
       removeFromWindow: sinon.stub(),
       removeFromAllWindows: sinon.stub(),
       getPref: sinon.stub(),
       updateItems: sinon.stub(),
+      _log: sinon.stub(),
       l10n: {
         formatValue: sinon.stub().resolves(''),
       },
       icon: sinon.stub(),
       APIs: [],
+      fallbackAPI: { key: 'fallback', name: 'best available' },
       _log: sinon.stub(),
     };
 
@@ -88,13 +108,62 @@ describe('bootstrap.js', function() {
 
       // Check that ZoteroCitationCounts is initialized
       expect(context.ZoteroCitationCounts.init.calledWith(params)).to.be.true;
+      expect(context.Zotero.CitationCounts).to.equal(context.ZoteroCitationCounts);
+      expect(context.ZoteroCitationCounts.initHistory.calledOnce).to.be.true;
+      expect(context.ZoteroCitationCounts.startAutoRefresh.calledOnce).to.be.true;
+      expect(context.ZoteroCitationCounts.resumePendingOperations.calledOnce).to.be.true;
+      expect(context.ZoteroCitationCounts.startOfflineQueue.calledOnce).to.be.true;
+      expect(context.ZoteroCitationCounts.pruneResponseCache.calledOnce).to.be.true;
       expect(context.ZoteroCitationCounts.addToAllWindows.calledOnce).to.be.true;
 
       // Check that PreferencePanes, Columns and Observer are registered
       expect(context.Zotero.PreferencePanes.register.calledOnce).to.be.true;
-      expect(context.Zotero.ItemTreeManager.registerColumns.calledOnce).to.be.true;
+      expect(context.Zotero.ItemTreeManager.registerColumns.callCount).to.equal(4);
+      expect(context.Zotero.ItemTreeManager.registerColumns.getCall(1).args[0].dataKey).to.equal('citationcounts-rcr');
+      expect(context.Zotero.ItemTreeManager.registerColumns.getCall(1).args[0].renderCell).to.be.a('function');
+      expect(context.Zotero.ItemTreeManager.registerColumns.getCall(2).args[0].dataKey).to.equal('citationcounts-velocity');
+      expect(context.Zotero.ItemTreeManager.registerColumns.getCall(3).args[0].dataKey).to.equal('citationcounts-gained');
+      expect(context.Zotero.ItemPaneManager.registerSection.calledOnce).to.be.true;
+      expect(context.Zotero.ItemPaneManager.registerSection.firstCall.args[0].paneID).to.equal('citationcounts-section');
+      expect(context.Zotero.Notifier.registerObserver.calledOnce).to.be.true;
+    });
+
+    it('should log and carry on if the citation count history cannot be set up', async function() {
+      context.ZoteroCitationCounts.initHistory = sinon.stub().rejects(new Error('database is locked'));
+
+      await context.startup({ id: 'test-id', version: '1.0', rootURI: 'test-uri/' });
+
+      expect(context.ZoteroCitationCounts._log.calledWith(sinon.match(/database is locked/))).to.be.true;
+      expect(context.ZoteroCitationCounts.addToAllWindows.calledOnce).to.be.true;
       expect(context.Zotero.Notifier.registerObserver.calledOnce).to.be.true;
     });
+
+    it('should register a column for each API with "column" set', async function() {
+      const inspire = { key: 'inspire', name: 'INSPIRE-HEP', column: true };
+      context.ZoteroCitationCounts.APIs = [inspire, { key: 'openalex', name: 'OpenAlex' }];
+      context.ZoteroCitationCounts.getCitationCountColumnData = sinon.stub().returns('000000000012');
+
+      await context.startup({ id: 'test-id', version: '1.0', rootURI: 'test-uri/' });
+
+      expect(context.Zotero.ItemTreeManager.registerColumns.callCount).to.equal(5);
+      const column = context.Zotero.ItemTreeManager.registerColumns.getCall(4).args[0];
+      expect(column.dataKey).to.equal('citationcounts-inspire');
+      expect(context.ZoteroCitationCounts.l10n.formatValue.calledWith('citationcounts-column-api-title', { api: 'INSPIRE-HEP' })).to.be.true;
+
+      const item = {};
+      expect(column.dataProvider(item)).to.equal('000000000012');
+      expect(context.ZoteroCitationCounts.getCitationCountColumnData.calledWith(item, inspire)).to.be.true;
+    });
+
+    it('should refresh the columns when an aggregation preference changes', async function() {
+      await context.startup({ id: 'test-id', version: '1.0', rootURI: 'test-uri/' });
+
+      expect(context.Zotero.Prefs.registerObserver.calledWith('extensions.citationcounts.columnAggregation')).to.be.true;
+      expect(context.Zotero.Prefs.registerObserver.calledWith('extensions.citationcounts.columnPreferredSource')).to.be.true;
+
+      context.Zotero.Prefs.registerObserver.firstCall.args[1]();
+      expect(context.Zotero.ItemTreeManager.refreshColumns.calledOnce).to.be.true;
+    });
   });
 
   describe('shutdown', function() {
@@ -111,10 +180,16 @@ describe('bootstrap.js', function() {
       context.shutdown();
 
       // Assertions
+      expect(mockZoteroCitationCounts.stopAutoRefresh.calledOnce).to.be.true;
+      expect(mockZoteroCitationCounts.stopOperations.calledOnce).to.be.true;
+      expect(mockZoteroCitationCounts.stopOfflineQueue.calledOnce).to.be.true;
       expect(mockZoteroCitationCounts.removeFromAllWindows.calledOnce).to.be.true;
       expect(context.Zotero.Notifier.unregisterObserver.calledOnce).to.be.true;
       expect(context.Zotero.Notifier.unregisterObserver.calledWith(observer)).to.be.true;
+      expect(context.Zotero.Prefs.unregisterObserver.calledWith('extensions.citationcounts.columnAggregation')).to.be.true;
+      expect(context.Zotero.Prefs.unregisterObserver.calledWith('extensions.citationcounts.columnPreferredSource')).to.be.true;
       expect(context.ZoteroCitationCounts).to.be.undefined;
+      expect(context.Zotero.CitationCounts).to.be.undefined;
     });
   });
 
@@ -154,6 +229,12 @@ describe('bootstrap.js', function() {
         expect(context.ZoteroCitationCounts.updateItems.called).to.be.false;
     });
 
+    it('should delete the citation count history of deleted items', async function() {
+        await observer.notify('delete', 'item', [1, 2]);
+        expect(context.ZoteroCitationCounts.deleteCitationCountHistory.calledWith([1, 2])).to.be.true;
+        expect(context.ZoteroCitationCounts.updateItems.called).to.be.false;
+    });
+
     it('should not do anything if autoretrieve preference is "none"', async function() {
         context.ZoteroCitationCounts.getPref.withArgs('autoretrieve').returns('none');
         await observer.notify('add', 'item', [1, 2]);
@@ -177,6 +258,25 @@ describe('bootstrap.js', function() {
         expect(context.ZoteroCitationCounts.updateItems.calledWith(items, api)).to.be.true;
     });
 
+    it('should call updateItems with the fallback pseudo-API if autoretrieve is "fallback"', async function() {
+        context.ZoteroCitationCounts.getPref.withArgs('autoretrieve').returns('fallback');
+        context.Zotero.Items.get.withArgs([1, 2]).returns(items);
+
+        await observer.notify('add', 'item', [1, 2]);
+
+        expect(context.ZoteroCitationCounts.updateItems.calledWith(items, context.ZoteroCitationCounts.fallbackAPI)).to.be.true;
+    });
+
+    it('should queue the items that could not reach an API', async function() {
+        context.ZoteroCitationCounts.getPref.withArgs('autoretrieve').returns('crossref');
+        context.Zotero.Items.get.withArgs([1, 2]).returns(items);
+        context.ZoteroCitationCounts.updateItems.resolves([items[0]]);
+
+        await observer.notify('add', 'item', [1, 2]);
+
+        expect(context.ZoteroCitationCounts.queueOfflineItems.calledOnceWith([items[0]], api)).to.be.true;
+    });
+
     it('should log an error if updateItems fails', async function() {
         context.ZoteroCitationCounts.getPref.withArgs('autoretrieve').returns('crossref');
         const testError = new Error('Update failed');
@@ -24,10 +24,22 @@ describe('preferences.js', function() {
         addEventListener: sinon.stub(),
         _type: type,
       })),
+      createElementNS: sinon.stub().callsFake((namespace, type) => ({
+        id: '',
+        setAttribute: sinon.stub(),
+        addEventListener: sinon.stub(),
+        _type: type,
+      })),
     };
 
     context = {
       document: mockDocument,
+      Zotero: {
+        Prefs: {
+          get: sinon.stub(),
+          set: sinon.stub(),
+        },
+      },
       ZoteroCitationCounts_Prefs: undefined,
     };
 
@@ -39,12 +51,23 @@ describe('preferences.js', function() {
   });
 
   describe('init', function() {
-    it('should create and inject a radio button for each API plus "none"', function() {
+    it('should create and inject a radio button for each API plus "fallback" and "none"', function() {
       const prefs = context.ZoteroCitationCounts_Prefs;
-      const expectedCallCount = prefs.APIs.length + 1;
+      const expectedCallCount = prefs.APIs.length + 2;
+      prefs._initFallbackOrder = sinon.stub();
+      prefs._initColumnPreferredSource = sinon.stub();
+      prefs._initAutoRefresh = sinon.stub();
+      prefs._initRateLimits = sinon.stub();
+      prefs._initCacheTtls = sinon.stub();
 
       prefs.init();
 
+      expect(prefs._initAutoRefresh.calledOnce).to.be.true;
+      expect(prefs._initRateLimits.calledOnce).to.be.true;
+      expect(prefs._initCacheTtls.calledOnce).to.be.true;
+      expect(prefs._initFallbackOrder.calledOnce).to.be.true;
+      expect(prefs._initColumnPreferredSource.calledOnce).to.be.true;
+
       expect(mockDocument.getElementById.calledWith('citationcounts-preference-pane-autoretrieve-radiogroup')).to.be.true;
       expect(mockDocument.getElementById.callCount).to.equal(expectedCallCount);
       expect(mockDocument.createXULElement.callCount).to.equal(expectedCallCount);
@@ -56,6 +79,11 @@ describe('preferences.js', function() {
       expect(firstInjectedElement.id).to.equal('citationcounts-preferences-pane-autoretrieve-radio-crossref');
       expect(firstInjectedElement.setAttribute.calledWith('value', 'crossref')).to.be.true;
 
+      // Check the "best available" radio before "none"
+      const fallbackInjectedElement = mockParentElement.appendChild.getCall(expectedCallCount - 2).args[0];
+      expect(fallbackInjectedElement.id).to.equal('citationcounts-preferences-pane-autoretrieve-radio-fallback');
+      expect(fallbackInjectedElement.setAttribute.calledWith('data-l10n-id', 'citationcounts-preferences-pane-autoretrieve-api-fallback')).to.be.true;
+
       // Check attributes for the last call (none)
       const lastInjectedElement = mockParentElement.appendChild.getCall(expectedCallCount - 1).args[0];
       expect(lastInjectedElement.id).to.equal('citationcounts-preferences-pane-autoretrieve-radio-none');
@@ -63,6 +91,225 @@ describe('preferences.js', function() {
     });
   });
 
+  describe('_initAutoRefresh', function() {
+    it('should inject a menu item for each API plus "fallback", "all" and "none"', function() {
+      const prefs = context.ZoteroCitationCounts_Prefs;
+
+      prefs._initAutoRefresh();
+
+      expect(mockDocument.createXULElement.callCount).to.equal(prefs.APIs.length + 3);
+      expect(mockDocument.getElementById.alwaysCalledWith('citationcounts-preference-pane-autorefresh-api-popup')).to.be.true;
+
+      const firstInjectedElement = mockParentElement.appendChild.getCall(0).args[0];
+      expect(firstInjectedElement.id).to.equal('citationcounts-preference-pane-autorefresh-api-crossref');
+      expect(firstInjectedElement.setAttribute.calledWith('data-l10n-args', '{"api": "Crossref"}')).to.be.true;
+
+      const allInjectedElement = mockParentElement.appendChild.getCall(prefs.APIs.length + 1).args[0];
+      expect(allInjectedElement.setAttribute.calledWith('data-l10n-id', 'citationcounts-preferences-pane-autorefresh-api-all')).to.be.true;
+      expect(allInjectedElement.setAttribute.calledWith('value', 'all')).to.be.true;
+    });
+  });
+
+  describe('_initColumnPreferredSource', function() {
+    it('should inject a preferred source menu item for each API', function() {
+      const prefs = context.ZoteroCitationCounts_Prefs;
+
+      prefs._initColumnPreferredSource();
+
+      expect(mockDocument.createXULElement.callCount).to.equal(prefs.APIs.length);
+      expect(mockDocument.createXULElement.alwaysCalledWith('menuitem')).to.be.true;
+      expect(mockDocument.getElementById.alwaysCalledWith('citationcounts-preference-pane-column-preferred-source-popup')).to.be.true;
+
+      const firstInjectedElement = mockParentElement.appendChild.getCall(0).args[0];
+      expect(firstInjectedElement.id).to.equal('citationcounts-preference-pane-column-preferred-source-crossref');
+      expect(firstInjectedElement.setAttribute.calledWith('label', 'Crossref')).to.be.true;
+      expect(firstInjectedElement.setAttribute.calledWith('value', 'crossref')).to.be.true;
+    });
+  });
+
+  describe('fallback order', function() {
+    const createListItem = (key, checked) => ({
+      getAttribute: sinon.stub().withArgs('value').returns(key),
+      querySelector: sinon.stub().withArgs('checkbox').returns({ checked }),
+    });
+
+    it('should list the saved APIs first, checked, followed by the others unchecked', function() {
+      const prefs = context.ZoteroCitationCounts_Prefs;
+      context.Zotero.Prefs.get.withArgs('extensions.citationcounts.fallbackOrder', true).returns('nasaads,crossref');
+
+      prefs._initFallbackOrder();
+
+      const injected = mockParentElement.appendChild.getCalls().map((call) => call.args[0]);
+      const listItems = injected.filter((element) => element._type === 'richlistitem');
+      const checkboxes = injected.filter((element) => element._type === 'checkbox');
+      expect(listItems).to.have.length(prefs.APIs.length);
+      expect(listItems[0].id).to.equal('citationcounts-preference-pane-fallback-item-nasaads');
+      expect(listItems[1].id).to.equal('citationcounts-preference-pane-fallback-item-crossref');
+      expect(listItems[2].id).to.equal('citationcounts-preference-pane-fallback-item-inspire');
+      expect(checkboxes[1].setAttribute.calledWith('checked', true)).to.be.true;
+      expect(checkboxes[2].setAttribute.calledWith('checked', false)).to.be.true;
+    });
+
+    it('should save the checked APIs in list order', function() {
+      const prefs = context.ZoteroCitationCounts_Prefs;
+      mockDocument.getElementById.returns({
+        children: [createListItem('semanticscholar', true), createListItem('inspire', false), createListItem('crossref', true)],
+      });
+
+      prefs._saveFallbackOrder();
+
+      expect(context.Zotero.Prefs.set.calledOnceWith('extensions.citationcounts.fallbackOrder', 'semanticscholar,crossref', true)).to.be.true;
+    });
+
+    it('should move the selected API up and save the new order', function() {
+      const prefs = context.ZoteroCitationCounts_Prefs;
+      const first = createListItem('crossref', true);
+      const second = createListItem('inspire', true);
+      second.previousElementSibling = first;
+      const list = { selectedItem: second, insertBefore: sinon.stub(), children: [first, second] };
+      mockDocument.getElementById.returns(list);
+
+      prefs.moveFallbackAPI(-1);
+
+      expect(list.insertBefore.calledOnceWith(second, first)).to.be.true;
+      expect(context.Zotero.Prefs.set.calledOnce).to.be.true;
+    });
+
+    it('should not save anything if the first API is moved up', function() {
+      const prefs = context.ZoteroCitationCounts_Prefs;
+      const list = { selectedItem: createListItem('crossref', true), insertBefore: sinon.stub() };
+      mockDocument.getElementById.returns(list);
+
+      prefs.moveFallbackAPI(-1);
+
+      expect(list.insertBefore.called).to.be.false;
+      expect(context.Zotero.Prefs.set.called).to.be.false;
+    });
+  });
+
+  describe('_initRateLimits', function() {
+    const injected = (id) => mockParentElement.appendChild.getCalls()
+      .map((call) => call.args[0])
+      .find((element) => element.id === id);
+
+    it('should add a row with the requests per second and burst inputs of each API, with the defaults as placeholders', function() {
+      const prefs = context.ZoteroCitationCounts_Prefs;
+      context.Zotero.CitationCounts = { APIs: [{ key: 'semanticscholar', rateLimit: { requestsPerSecond: 1 / 3, burst: 1 } }] };
+      context.Zotero.Prefs.get.withArgs('extensions.citationcounts.rateLimits', true).returns('{"semanticscholar": {"burst": 2}}');
+
+      prefs._initRateLimits();
+
+      expect(mockDocument.createElementNS.callCount).to.equal(2 * prefs.APIs.length);
+      const row = injected('citationcounts-preference-pane-rate-limits-semanticscholar');
+      expect(row.setAttribute.calledWith('align', 'center')).to.be.true;
+      const rate = injected('citationcounts-preference-pane-rate-limits-semanticscholar-requestsPerSecond');
+      expect(rate.setAttribute.calledWith('type', 'number')).to.be.true;
+      expect(rate.setAttribute.calledWith('placeholder', '0.333')).to.be.true;
+      expect(rate.setAttribute.calledWith('value')).to.be.false;
+      const burst = injected('citationcounts-preference-pane-rate-limits-semanticscholar-burst');
+      expect(burst.setAttribute.calledWith('value', 2)).to.be.true;
+      expect(burst.setAttribute.calledWith('placeholder', '1')).to.be.true;
+      const unlimited = injected('citationcounts-preference-pane-rate-limits-crossref-requestsPerSecond');
+      expect(unlimited.setAttribute.calledWith('placeholder')).to.be.false;
+    });
+
+    it('should save a changed input to the rateLimits preference', function() {
+      const prefs = context.ZoteroCitationCounts_Prefs;
+      context.Zotero.Prefs.get.withArgs('extensions.citationcounts.rateLimits', true).returns('{"semanticscholar": {"burst": 2}}');
+      prefs._initRateLimits();
+      const rate = injected('citationcounts-preference-pane-rate-limits-semanticscholar-requestsPerSecond');
+
+      rate.value = '0.5';
+      rate.addEventListener.withArgs('change').firstCall.args[1]();
+
+      expect(context.Zotero.Prefs.set.calledWith(
+        'extensions.citationcounts.rateLimits',
+        JSON.stringify({ semanticscholar: { burst: 2, requestsPerSecond: 0.5 } }),
+        true
+      )).to.be.true;
+    });
+
+    it('should remove the entry of an API whose inputs are emptied', function() {
+      const prefs = context.ZoteroCitationCounts_Prefs;
+      context.Zotero.Prefs.get.withArgs('extensions.citationcounts.rateLimits', true).returns('{"semanticscholar": {"burst": 2}}');
+
+      prefs._saveAPIInput('rateLimits', 'citationcounts-preference-pane-rate-limits', 'semanticscholar', 'burst', 1, { id: 'burst', value: ' ' });
+
+      expect(context.Zotero.Prefs.set.calledWith('extensions.citationcounts.rateLimits', '', true)).to.be.true;
+    });
+
+    it('should show an error instead of saving invalid values, until they are fixed', function() {
+      const prefs = context.ZoteroCitationCounts_Prefs;
+      const error = { hidden: true };
+      mockDocument.getElementById.withArgs('citationcounts-preference-pane-rate-limits-error').returns(error);
+      const input = { id: 'citationcounts-preference-pane-rate-limits-crossref-burst', value: '0' };
+
+      prefs._saveAPIInput('rateLimits', 'citationcounts-preference-pane-rate-limits', 'crossref', 'burst', 1, input);
+
+      expect(error.hidden).to.be.false;
+      expect(context.Zotero.Prefs.set.called).to.be.false;
+
+      input.value = '3';
+      prefs._saveAPIInput('rateLimits', 'citationcounts-preference-pane-rate-limits', 'crossref', 'burst', 1, input);
+
+      expect(error.hidden).to.be.true;
+      expect(context.Zotero.Prefs.set.calledWith('extensions.citationcounts.rateLimits', '{"crossref":{"burst":3}}', true)).to.be.true;
+    });
+  });
+
+  describe('_initCacheTtls', function() {
+    it('should add an hours input per API, saved as the value of its cacheTtls entry', function() {
+      const prefs = context.ZoteroCitationCounts_Prefs;
+      context.Zotero.CitationCounts = { APIs: [{ key: 'icite', cacheTtlHours: 168 }] };
+      context.Zotero.Prefs.get.withArgs('extensions.citationcounts.cacheTtls', true).returns('{"crossref": 48}');
+
+      prefs._initCacheTtls();
+
+      const inputs = mockDocument.createElementNS.returnValues;
+      expect(inputs).to.have.length(prefs.APIs.length);
+      const crossref = inputs.find((input) => input.id === 'citationcounts-preference-pane-cache-ttls-crossref-value');
+      expect(crossref.setAttribute.calledWith('value', 48)).to.be.true;
+      const icite = inputs.find((input) => input.id === 'citationcounts-preference-pane-cache-ttls-icite-value');
+      expect(icite.setAttribute.calledWith('placeholder', '168')).to.be.true;
+
+      icite.value = '0';
+      icite.addEventListener.withArgs('change').firstCall.args[1]();
+      expect(context.Zotero.Prefs.set.calledWith('extensions.citationcounts.cacheTtls', '{"crossref":48,"icite":0}', true)).to.be.true;
+
+      crossref.value = '';
+      crossref.addEventListener.withArgs('change').firstCall.args[1]();
+      expect(context.Zotero.Prefs.set.calledWith('extensions.citationcounts.cacheTtls', '', true)).to.be.true;
+    });
+  });
+
+  describe('clearCache', function() {
+    let status;
+
+    beforeEach(function() {
+      status = { hidden: true, setAttribute: sinon.stub() };
+      mockDocument.getElementById.withArgs('citationcounts-preference-pane-clear-cache-status').returns(status);
+    });
+
+    it('should clear the response cache of the plugin and show that it was cleared', async function() {
+      context.Zotero.CitationCounts = { clearResponseCache: sinon.stub().resolves(true) };
+
+      await context.ZoteroCitationCounts_Prefs.clearCache();
+
+      expect(context.Zotero.CitationCounts.clearResponseCache.calledOnce).to.be.true;
+      expect(status.setAttribute.calledWith('data-l10n-id', 'citationcounts-preferences-pane-cache-cleared')).to.be.true;
+      expect(status.hidden).to.be.false;
+    });
+
+    it('should show that the cache couldn\'t be cleared', async function() {
+      context.Zotero.CitationCounts = { clearResponseCache: sinon.stub().resolves(false) };
+
+      await context.ZoteroCitationCounts_Prefs.clearCache();
+
+      expect(status.setAttribute.calledWith('data-l10n-id', 'citationcounts-preferences-pane-cache-clear-failed')).to.be.true;
+      expect(status.hidden).to.be.false;
+    });
+  });
+
   describe('_injectXULElement', function() {
     it('should create an element, set attributes, and append it to the parent', function() {
       const prefs = context.ZoteroCitationCounts_Prefs;